@@ -1,832 +1,2195 @@
-require('dotenv').config();
-const express = require('express');
-const http = require('http');
-const { Server } = require("socket.io");
-const cors = require('cors');
-
-const app = express();
-const CLIENT_URL = process.env.CLIENT_URL || "https://vechiron.com";
-const VECB0T_API_BASE = (process.env.VECB0T_API_BASE || 'https://vechiron.com/api').replace(/\/+$/, '');
-const SKETCHQUEST_GAME_SECRET = process.env.SKETCHQUEST_GAME_SECRET || 'vecbot-sketchquest-secret';
-
-app.use(cors({
-    origin: CLIENT_URL
-}));
-
-const server = http.createServer(app);
-const io = new Server(server, {
-    cors: {
-        origin: [
-            "http://localhost:5173",
-            "http://127.0.0.1:5173",
-            "http://192.168.3.2:5173", // Local Network
-            "https://vechiron.com",    // Production Frontend
-            "http://vechiron.com",
-            "https://www.vechiron.com",
-            "https://heumrage.com",
-            "http://heumrage.com",
-            "https://www.heumrage.com"
-        ],
-        methods: ["GET", "POST"]
-    }
-});
-
-// --- Constants & Data ---
-const PHASE = {
-    LOBBY: 'lobby',
-    VIEWING: 'viewing',
-    WRITING: 'writing',
-    DISCUSSING: 'discussing',
-    VOTING: 'voting',
-    RESULTS: 'results',
-    MATCH_END: 'match_end'
-};
-
-const ART_PAIRS = [
-    {
-        innocent: "https://images.unsplash.com/photo-1579783902614-a3fb3927b6a5?q=80&w=600&auto=format&fit=crop",
-        impostor: "https://images.unsplash.com/photo-1578301978693-85fa9c0320b9?q=80&w=600&auto=format&fit=crop"
-    },
-    {
-        innocent: "https://images.unsplash.com/photo-1547891654-e66ed7ebb968?q=80&w=600&auto=format&fit=crop",
-        impostor: "https://images.unsplash.com/photo-1549490349-8643362247b5?q=80&w=600&auto=format&fit=crop"
-    },
-    {
-        innocent: "https://images.unsplash.com/photo-1561214115-f2f134cc4912?q=80&w=600&auto=format&fit=crop",
-        impostor: "https://images.unsplash.com/photo-1541963463532-d68292c34b19?q=80&w=600&auto=format&fit=crop"
-    }
-];
-
-// --- State ---
-const rooms = {};
-
-// --- Helpers ---
-const generateRoomCode = () => Math.random().toString(36).substring(2, 7).toUpperCase();
-
-const getPublicRooms = () => {
-    return Object.values(rooms)
-        .map(r => {
-            const owner = r.players.find(p => p.id === r.ownerId);
-            return {
-                code: r.code,
-                playerCount: r.players.length,
-                isPublic: typeof r.isPublic !== 'undefined' ? r.isPublic : true,
-                ownerName: owner ? owner.username : 'Bilinmiyor',
-                phase: r.state.phase // Add phase info
-            };
-        });
-};
-
-const notifyVecbotWinner = async (username) => {
-    if (!username) return;
-    try {
-        const resp = await fetch(`${VECB0T_API_BASE}/integrations/sketchquest-win`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-game-secret': SKETCHQUEST_GAME_SECRET,
-            },
-            body: JSON.stringify({ username }),
-        });
-
-        if (!resp.ok) {
-            const text = await resp.text();
-            console.error(`[SketchQuest] Vecbot puan güncelleme başarısız (${resp.status}): ${text}`);
-            return;
-        }
-        const data = await resp.json().catch(() => ({}));
-        console.log(`[SketchQuest] Vecbot puan +10 -> ${username}`, data);
-    } catch (err) {
-        console.error('[SketchQuest] Vecbot puan endpoint hatası:', err.message);
-    }
-};
-
-const awardMatchWinners = (room) => {
-    if (!room || room.state?.winnerAwardSent) return;
-    if (!Array.isArray(room.players) || room.players.length === 0) return;
-
-    const maxScore = Math.max(...room.players.map((p) => Number(p.score || 0)));
-    const winners = room.players.filter((p) => Number(p.score || 0) === maxScore);
-    if (!winners.length) return;
-
-    room.state.winnerAwardSent = true;
-    winners.forEach((winner) => {
-        notifyVecbotWinner((winner.username || '').trim());
-    });
-};
-
-const broadcastState = (room) => {
-    const wordsToSend = room.players.filter(p => p.word).map(p => ({ username: p.username, word: p.word }));
-    console.log('[DEBUG] Broadcasting words:', wordsToSend);
-
-    io.to(room.code).emit('game_state_update', {
-        phase: room.state.phase,
-        timer: room.state.timer,
-        currentRound: room.state.currentRound,
-        totalRounds: room.rounds, // Send total rounds too
-        // Send specific turn info
-        turn: {
-            writerId: room.state.turnOrder ? room.state.turnOrder[room.state.turnIndex] : null,
-            writerName: room.state.turnOrder ? room.players.find(p => p.id === room.state.turnOrder[room.state.turnIndex])?.username : null
-        },
-        words: wordsToSend
-    });
-};
-
-const broadcastPlayerList = (room) => {
-    // Mask roles to prevent cheating/leaking, but indicate activity
-    const safePlayers = room.players.map(p => ({
-        ...p,
-        role: p.role ? 'active' : null // 'active' is truthy, so client filter works
-    }));
-    io.to(room.code).emit('player_list_update', safePlayers);
-};
-
-const broadcastPublicRooms = () => {
-    io.emit('public_rooms_update', getPublicRooms());
-};
-
-// --- Game Logic ---
-const setPhase = (room, phase, duration) => {
-    room.state.phase = phase;
-    room.state.timer = duration;
-
-    // Cleanup intervals
-    if (room.timerInterval) clearInterval(room.timerInterval);
-
-    broadcastState(room);
-
-    // If transitioning out of lobby, update public rooms
-    if (phase !== PHASE.LOBBY) broadcastPublicRooms();
-
-    if (duration > 0) {
-        room.timerInterval = setInterval(() => {
-            room.state.timer--;
-
-            if (room.state.timer <= 0) {
-                clearInterval(room.timerInterval);
-                handlePhaseTimeout(room);
-            } else {
-                // Optimization: Emit timer every second? Or let client handle?
-                // For sync, best to emit.
-                io.to(room.code).emit('timer_update', room.state.timer);
-            }
-        }, 1000);
-    }
-};
-
-const handlePhaseTimeout = (room) => {
-    switch (room.state.phase) {
-        case PHASE.WRITING:
-            // If checking turns, timeout means skip turn
-            advanceTurn(room);
-            break;
-        case PHASE.DISCUSSING:
-            setPhase(room, PHASE.VOTING, 30);
-            break;
-        case PHASE.VOTING:
-            calculateResults(room);
-            break;
-        case PHASE.RESULTS:
-            if (room.state.currentRound < room.rounds) {
-                // Next round
-                nextRound(room);
-            } else {
-                // Match match end
-                awardMatchWinners(room);
-                setPhase(room, PHASE.MATCH_END, 30);
-                room.players.forEach(p => p.hasSkipped = false); // Reset skip flags
-            }
-            break;
-        case PHASE.MATCH_END:
-            setPhase(room, PHASE.LOBBY, 0);
-            resetMatch(room);
-            break;
-        case PHASE.LOBBY:
-            // Countdown finished, start game
-            startGame(room);
-            break;
-    }
-};
-
-const fetchArtFromMet = async (theme) => {
-    try {
-        // Enforce Public Domain & Paintings classification to avoid random objects/architecture
-        const searchUrl = `https://collectionapi.metmuseum.org/public/collection/v1/search?hasImages=true&isPublicDomain=true&classification=Paintings&q=${theme}`;
-        const searchRes = await fetch(searchUrl);
-        const searchData = await searchRes.json();
-
-        if (!searchData.total || searchData.total < 10) throw new Error('Not enough results');
-
-        // Get pool of random IDs (fetch more to ensure we find valid images)
-        const ids = searchData.objectIDs;
-        const randomIds = [];
-        while (randomIds.length < 5) {
-            const rid = ids[Math.floor(Math.random() * ids.length)];
-            if (!randomIds.includes(rid)) randomIds.push(rid);
-        }
-
-        // Fetch details in parallel
-        const potentialArt = await Promise.all(randomIds.map(async (id) => {
-            try {
-                const detailRes = await fetch(`https://collectionapi.metmuseum.org/public/collection/v1/objects/${id}`);
-                const detailData = await detailRes.json();
-                // Prefer small image for speed, valid URL check
-                return detailData.primaryImageSmall || null;
-            } catch (e) {
-                return null;
-            }
-        }));
-
-        const validImages = potentialArt.filter(img => img && img.startsWith('http'));
-
-        if (validImages.length < 2) throw new Error('Not enough valid images found');
-
-        return {
-            innocent: validImages[0],
-            impostor: validImages[1]
-        };
-    } catch (error) {
-        console.error('Met API Error, falling back to LoremFlickr:', error.message);
-        // Fallback Logic
-        const searchKeywords = theme.replace(' ', ',');
-        let seed1 = Math.floor(Math.random() * 100000);
-        let seed2 = Math.floor(Math.random() * 100000);
-        while (seed1 === seed2) seed2 = Math.floor(Math.random() * 100000);
-
-        return {
-            innocent: `https://loremflickr.com/800/600/${searchKeywords}?lock=${seed1}`,
-            impostor: `https://loremflickr.com/800/600/${searchKeywords}?lock=${seed2}`
-        };
-    }
-};
-
-const nextRound = (room) => {
-    // Cleanup Offline players from previous round
-    room.players = room.players.filter(p => !p.isOffline);
-    broadcastPlayerList(room); // Update client lists immediately
-
-    if (room.players.length < 2) {
-        console.log(`Not enough players to start Round ${room.state.currentRound + 1}. Resetting to Lobby.`);
-        setPhase(room, PHASE.LOBBY, 0);
-        resetMatch(room);
-        return;
-    }
-
-    room.state.currentRound++;
-
-    // Reset Round-specific player data
-    room.players.forEach(p => {
-        p.role = null;
-        p.word = null;
-        p.vote = null;
-        p.isReady = true; // Auto-ready for next round
-    });
-
-    // 1. Art Logic (The Met API)
-    // Strictly Paintings / Art Genres
-    const THEMES = [
-        'Portrait', 'Self-portrait', 'Still Life', 'Landscape',
-        'Oil painting', 'Watercolor', 'Impressionism', 'Surrealism',
-        'Flowers', 'Animals', 'Genre painting', 'Mythology'
-    ];
-    const randomTheme = THEMES[Math.floor(Math.random() * THEMES.length)];
-
-    console.log(`[Round ${room.state.currentRound}] Fetching art for theme: ${randomTheme}`);
-    // 1. Art Logic (From Pre-calculated Cache)
-    let artData = room.state.matchArtCache ? room.state.matchArtCache[room.state.currentRound - 1] : null;
-
-    // Fallback if cache missed
-    if (!artData) {
-        console.error("Art Cache Miss! Fetching emergency art...");
-        const fallbackThemes = ['Portrait', 'Landscape', 'Still Life'];
-        const randomTheme = fallbackThemes[Math.floor(Math.random() * fallbackThemes.length)];
-        const searchKeywords = randomTheme.replace(' ', ',');
-        let seed1 = Math.floor(Math.random() * 100000);
-        let seed2 = Math.floor(Math.random() * 100000);
-        while (seed1 === seed2) seed2 = Math.floor(Math.random() * 100000);
-        artData = {
-            innocent: `https://loremflickr.com/800/600/${searchKeywords}?lock=${seed1}`,
-            impostor: `https://loremflickr.com/800/600/${searchKeywords}?lock=${seed2}`,
-            theme: randomTheme
-        };
-    }
-
-    room.state.artPair = artData;
-
-    console.log(`[Round ${room.state.currentRound}] Using Cached Art:`);
-    console.log(`Theme: ${artData.theme}`);
-    console.log(`Innocent URL: ${room.state.artPair.innocent}`);
-    console.log(`Impostor URL: ${room.state.artPair.impostor}`);
-
-    // Assign Roles
-    // Dynamic Impostor Count:
-    // If players >= 8, then 2 Impostors. Else 1.
-    const impostorCount = room.players.length >= 8 ? 2 : 1;
-
-    // Shuffle players to assign roles randomly
-    const shuffledPlayers = [...room.players].sort(() => Math.random() - 0.5);
-
-    // First, set everyone to innocent
-    room.players.forEach(p => p.role = 'innocent');
-
-    // Assign Impostors
-    for (let i = 0; i < impostorCount; i++) {
-        if (shuffledPlayers[i]) {
-            shuffledPlayers[i].role = 'impostor';
-        }
-    }
-
-    console.log(`[Round ${room.state.currentRound}] Art Generation:`);
-    console.log(`Theme: ${randomTheme}`);
-    console.log(`Innocent URL: ${room.state.artPair.innocent}`);
-    console.log(`Impostor URL: ${room.state.artPair.impostor}`);
-    console.log('Roles:', room.players.map(p => `${p.username}:${p.role}`).join(', '));
-
-    // Broadcast Round Init
-    room.players.forEach(p => {
-        // Correctly handling multiple impostors:
-        // If I am impostor -> I see impostor image
-        // If I am innocent -> I see innocent image
-        const img = p.role === 'impostor' ? room.state.artPair.impostor : room.state.artPair.innocent;
-        io.to(p.id).emit('round_init', { role: p.role, imageUrl: img });
-    });
-
-    // Broadcast masked active player list so everyone knows who is playing
-    broadcastPlayerList(room);
-
-    startWritingPhase(room); // Reuse writing phase starter
-};
-
-const startWritingPhase = (room) => {
-    room.state.phase = PHASE.WRITING;
-    broadcastPublicRooms(); // Update lobby to show "In Game"
-    // Helper to shuffle
-    const shuffle = (array) => array.sort(() => Math.random() - 0.5);
-    room.state.turnOrder = shuffle(room.players.map(p => p.id));
-    room.state.turnIndex = 0;
-
-    // Clear words
-    room.players.forEach(p => p.word = null);
-
-    startTurn(room);
-};
-
-const startTurn = (room) => {
-    if (room.state.turnIndex >= room.state.turnOrder.length) {
-        // All turns done
-        setPhase(room, PHASE.DISCUSSING, 120);
-        // Reset discussion skip flags
-        room.players.forEach(p => p.hasSkippedDiscussion = false);
-        broadcastPlayerList(room);
-        return;
-    }
-
-    const currentWriterId = room.state.turnOrder[room.state.turnIndex];
-    const currentWriter = room.players.find(p => p.id === currentWriterId);
-
-    // Skip if player left or is offline
-    if (!currentWriter || currentWriter.isOffline) {
-        console.log(`Skipping offline writer: ${currentWriterId}`);
-        advanceTurn(room);
-        return;
-    }
-
-    // 30 Seconds per turn
-    room.state.timer = 30;
-    // Update current turn info for client
-    room.state.turn = {
-        writerId: currentWriterId,
-        writerName: currentWriter.username
-    };
-    broadcastState(room); // Updates who is writing
-
-    if (room.timerInterval) clearInterval(room.timerInterval);
-    room.timerInterval = setInterval(() => {
-        room.state.timer--;
-        if (room.state.timer <= 0) {
-            clearInterval(room.timerInterval);
-            advanceTurn(room);
-        } else {
-            io.to(room.code).emit('timer_update', room.state.timer);
-        }
-    }, 1000);
-};
-
-const advanceTurn = (room) => {
-    room.state.turnIndex++;
-    startTurn(room);
-};
-
-const calculateResults = (room) => {
-    // Tally votes
-    const votes = {};
-    let maxVotes = 0;
-    let votedPlayerId = null;
-
-    room.players.forEach(p => {
-        if (p.vote) {
-            votes[p.vote] = (votes[p.vote] || 0) + 1;
-            if (votes[p.vote] > maxVotes) {
-                maxVotes = votes[p.vote];
-                votedPlayerId = p.vote;
-            }
-        }
-    });
-
-    const votedPlayer = room.players.find(p => p.id === votedPlayerId);
-    const impostor = room.players.find(p => p.role === 'impostor');
-
-    let winner = 'impostor';
-    let message = "Impostor Kazandı!";
-    let impostorName = impostor ? impostor.username : "Unknown";
-
-    if (votedPlayer && votedPlayer.role === 'impostor') {
-        winner = 'innocents';
-        message = `Tebrikler! Impostor (${impostorName}) yakalandı!`;
-        // Score: +20 to correct voters
-        room.players.forEach(p => {
-            if (impostor && p.vote === impostor.id) p.score += 20;
-        });
-    } else {
-        winner = 'impostor';
-        message = `Impostor kaçtı! (Impostor: ${impostorName})`;
-        // Score: Impostor gets 30 + 10 * playerCount
-        if (impostor) {
-            impostor.score += 30 + (room.players.length * 10);
-        }
-    }
-
-    io.to(room.code).emit('game_over', {
-        winner,
-        message,
-        impostorName,
-        images: room.state.artPair
-    });
-    broadcastPlayerList(room); // Update scores
-    setPhase(room, PHASE.RESULTS, 5);
-};
-
-const resetMatch = (room) => {
-    // Remove Offline players before resetting
-    room.players = room.players.filter(p => !p.isOffline);
-
-    room.players.forEach(p => {
-        p.role = null;
-        p.word = null;
-        p.vote = null;
-        p.isReady = false; // Force re-ready only after FULL MATCH
-        p.score = 0; // Reset Scores for new match
-        p.hasSkipped = false;
-    });
-    room.state.turnOrder = null;
-    room.state.turnIndex = 0;
-    room.state.currentRound = 0;
-    room.state.winnerAwardSent = false;
-    broadcastState(room);
-    broadcastPlayerList(room);
-    broadcastPublicRooms();
-};
-
-const startGame = async (room) => {
-    room.state.currentRound = 0;
-    room.state.totalRounds = room.rounds || 5;
-    room.state.winnerAwardSent = false;
-
-    // Pre-fetch art for ALL rounds to avoid delays mid-game
-    console.log(`[StartGame] Pre-fetching art for ${room.state.totalRounds} rounds...`);
-    room.state.matchArtCache = [];
-
-    const THEMES = [
-        'Portrait', 'Still Life', 'Landscape',
-        'Oil painting', 'Watercolor', 'Impressionism', 'Surrealism',
-        'Flowers', 'Mythological painting'
-    ];
-
-    // Create an array of promises to fetch art sequentially or in parallel
-    // Sequentially is safer for Met API rate limits
-    for (let i = 0; i < room.state.totalRounds; i++) {
-        const randomTheme = THEMES[Math.floor(Math.random() * THEMES.length)];
-        try {
-            const pair = await fetchArtFromMet(randomTheme);
-            room.state.matchArtCache.push({ ...pair, theme: randomTheme });
-            console.log(`[StartGame] Cached round ${i + 1}/${room.state.totalRounds}`);
-        } catch (err) {
-            console.error(`[StartGame] Cached round ${i + 1} failed`, err.message);
-            // fetchArtFromMet has internal fallback to LoremFlickr, so this shouldn't crash
-        }
-    }
-
-    console.log(`[StartGame] Successfully cached ${room.state.matchArtCache.length} art pairs.`);
-    nextRound(room);
-};
-
-// --- Socket Handling ---
-io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
-
-    // Helper to find player's room
-    const getMyRoom = () => {
-        // Inefficient lookup but works for small scale
-        const code = Object.keys(rooms).find(c => rooms[c].players.find(p => p.id === socket.id));
-        return code ? rooms[code] : null;
-    };
-
-    socket.on('create_room', ({ username, isPublic = true, rounds = 5 }) => {
-        const code = generateRoomCode();
-        rooms[code] = {
-            code,
-            players: [],
-            ownerId: socket.id,
-            isPublic: isPublic,
-            rounds: parseInt(rounds) || 5,
-            state: { phase: PHASE.LOBBY, timer: 0, turnIndex: 0, turnOrder: [], winnerAwardSent: false }
-        };
-
-        socket.join(code);
-        const player = { id: socket.id, username, score: 0, role: null, word: null, vote: null, isReady: false, isOwner: true };
-        rooms[code].players.push(player);
-
-        socket.emit('room_joined', {
-            room: code,
-            user: username,
-            players: rooms[code].players,
-            isOwner: true,
-            isPublic: isPublic
-        });
-        broadcastPlayerList(rooms[code]);
-        broadcastPublicRooms();
-        console.log(`Room created: ${code} by ${username}`);
-    });
-
-    socket.on('join_room', ({ username, room: code }) => {
-        if (!code) return socket.emit('error', { message: 'Oda kodu gerçersiz.' });
-        code = code.toUpperCase();
-
-        const room = rooms[code];
-        if (room) {
-            if (room.players.length >= 12) {
-                return socket.emit('error', { message: 'Oda dolu! (Maksimum 12 Kişi)' });
-            }
-
-            // Check for unique username
-            // Case-insensitive check to be safe: 'Ahmet' vs 'ahmet'
-            const isTaken = room.players.some(p => p.username.toLowerCase() === username.trim().toLowerCase());
-            if (isTaken) {
-                return socket.emit('error', { message: 'Bu isimde bir oyuncu zaten odada var. Lütfen isminizi değiştirin.' });
-            }
-
-            socket.join(code);
-            const player = { id: socket.id, username, score: 0, role: null, word: null, vote: null };
-            room.players.push(player);
-
-            socket.emit('room_joined', {
-                room: code,
-                user: username,
-                players: room.players,
-                isOwner: false,
-                isPublic: room.isPublic
-            });
-            broadcastPlayerList(room);
-            broadcastPublicRooms();
-            broadcastState(room); // Sync game state to new player
-            console.log(`${username} joined ${code}`);
-        } else {
-            socket.emit('error', { message: 'Oda bulunamadı!' });
-        }
-    });
-
-    socket.on('get_public_rooms', () => {
-        socket.emit('public_rooms_update', getPublicRooms());
-    });
-
-    socket.on('start_game', ({ room: code }) => {
-        const room = rooms[code];
-        if (room) startGame(room);
-    });
-
-    socket.on('kick_player', ({ room: code, targetId }) => {
-        const room = rooms[code];
-        if (!room) return;
-
-        // Only owner can kick
-        if (room.ownerId !== socket.id) return;
-        if (targetId === socket.id) return; // Can't kick self
-
-        const targetPlayer = room.players.find(p => p.id === targetId);
-        if (targetPlayer) {
-            io.to(targetId).emit('kicked');
-            // Force disconnect logic
-            io.sockets.sockets.get(targetId)?.leave(code);
-
-            room.players = room.players.filter(p => p.id !== targetId);
-
-            // Handle Mid-Game Kick Logic
-            if (room.state.phase === PHASE.WRITING) {
-                const currentWriterId = room.state.turnOrder?.[room.state.turnIndex];
-                if (currentWriterId === targetId) {
-                    console.log(`Kicked player was active writer (${targetPlayer.username}). Advancing turn...`);
-                    if (room.timerInterval) clearInterval(room.timerInterval);
-                    advanceTurn(room);
-                }
-            }
-
-            broadcastPlayerList(room);
-            broadcastPublicRooms();
-        }
-    });
-
-    socket.on('submit_word', ({ room: code, word }) => {
-        const room = rooms[code];
-        if (!room) return;
-
-        // Validation: Must be WRITING phase + My Turn
-        if (room.state.phase !== PHASE.WRITING) return;
-
-        const currentWriterId = room.state.turnOrder[room.state.turnIndex];
-        if (socket.id !== currentWriterId) return; // Not your turn
-
-        const player = room.players.find(p => p.id === socket.id);
-        if (player) {
-            player.word = word;
-            advanceTurn(room);
-        }
-    });
-
-    socket.on('submit_vote', ({ room: code, targetId }) => {
-        const room = rooms[code];
-        if (room && room.state.phase === PHASE.VOTING) {
-            const player = room.players.find(p => p.id === socket.id);
-            player.vote = targetId;
-            // If all ACTIVE and ONLINE players voted
-            const activeOnlinePlayers = room.players.filter(p => p.role && !p.isOffline);
-
-            // Also check if we have enough votes (e.g. if everyone left, force end?)
-            // For now, just check if all online active players voted
-            if (activeOnlinePlayers.length > 0 && activeOnlinePlayers.every(p => p.vote)) {
-                calculateResults(room);
-            } else if (activeOnlinePlayers.length === 0) {
-                // Everyone offline? End phase immediately
-                calculateResults(room);
-            }
-        }
-    });
-
-    socket.on('skip_discussion', ({ room: code }) => {
-        const room = rooms[code];
-        if (room && room.state.phase === PHASE.DISCUSSING) {
-            const player = room.players.find(p => p.id === socket.id);
-            if (player && !player.hasSkippedDiscussion) {
-                player.hasSkippedDiscussion = true;
-
-                // Check if ALL ACTIVE and ONLINE players skipped
-                const activeOnlinePlayers = room.players.filter(p => p.role && !p.isOffline);
-
-                // Broadcast the change so clients can update their counters
-                broadcastPlayerList(room);
-
-                if (activeOnlinePlayers.length > 0 && activeOnlinePlayers.every(p => p.hasSkippedDiscussion)) {
-                    setPhase(room, PHASE.VOTING, 30);
-                } else if (activeOnlinePlayers.length === 0) {
-                    // Failsafe if everyone left/offline
-                    setPhase(room, PHASE.VOTING, 30);
-                }
-            }
-        }
-    });
-
-    socket.on('skip_match_end', ({ room: code }) => {
-        const room = rooms[code];
-        if (room && room.state.phase === PHASE.MATCH_END) {
-            const player = room.players.find(p => p.id === socket.id);
-            if (player && !player.hasSkipped) {
-                player.hasSkipped = true;
-
-                // Check if ALL ACTIVE and ONLINE players skipped
-                const activeOnlinePlayers = room.players.filter(p => p.role && !p.isOffline);
-
-                broadcastPlayerList(room);
-
-                if (activeOnlinePlayers.length > 0 && activeOnlinePlayers.every(p => p.hasSkipped)) {
-                    setPhase(room, PHASE.LOBBY, 0);
-                    resetMatch(room);
-                } else if (activeOnlinePlayers.length === 0) {
-                    // Failsafe
-                    setPhase(room, PHASE.LOBBY, 0);
-                    resetMatch(room);
-                }
-            }
-        }
-    });
-
-    socket.on('toggle_ready', ({ room: code }) => {
-        const room = rooms[code];
-        if (!room || room.state.phase !== PHASE.LOBBY) return;
-
-        const player = room.players.find(p => p.id === socket.id);
-        if (player) {
-            player.isReady = !player.isReady;
-            broadcastPlayerList(room);
-
-            // Check start conditions
-            const allReady = room.players.length >= 2 && room.players.every(p => p.isReady);
-
-            if (allReady) {
-                // Start countdown
-                console.log(`All players ready in room ${code}. Starting countdown...`);
-                setPhase(room, PHASE.LOBBY, 4);
-            } else {
-                // Cancel countdown if it was running
-                if (room.state.timer > 0) {
-                    console.log(`Readiness broken in room ${code}. Cancelling countdown.`);
-                    setPhase(room, PHASE.LOBBY, 0);
-                }
-            }
-        }
-    });
-
-    socket.on('chat_message', ({ room: code, message, username }) => {
-        if (code) io.to(code).emit('chat_message', { username, message });
-    });
-
-    socket.on('admin_skip_phase', ({ room: roomCode, password }) => {
-        if (password !== 'Obi4amkebap4etatanamaykami') return;
-        const room = rooms[roomCode];
-        if (!room) return;
-
-        console.log(`[ADMIN] Skipping phase in room ${roomCode} (Current: ${room.state.phase})`);
-
-        // Clear existing timer to prevent double-firing
-        if (room.timerInterval) clearInterval(room.timerInterval);
-
-        if (room.state.phase === PHASE.LOBBY) {
-            startGame(room);
-        } else {
-            handlePhaseTimeout(room);
-        }
-    });
-
-    socket.on('disconnect', () => {
-        const room = getMyRoom();
-        if (room) {
-            const player = room.players.find(p => p.id === socket.id);
-
-            if (room.state.phase === PHASE.LOBBY) {
-                // In Lobby: Remove completely
-                room.players = room.players.filter(p => p.id !== socket.id);
-
-                // Auto-Start Check with Countdown
-                const allReady = room.players.length >= 2 && room.players.every(p => p.isReady);
-
-                if (allReady) {
-                    console.log(`Unready player disconnected. Starting countdown in room ${room.code}...`);
-                    setPhase(room, PHASE.LOBBY, 4);
-                } else {
-                    // Cancel if conditions not met (and timer was running)
-                    if (room.state.timer > 0) {
-                        setPhase(room, PHASE.LOBBY, 0);
-                    }
-                }
-            } else {
-                if (player) player.isOffline = true;
-
-                // If the player who just disconnected was the current writer, skip them immediately!
-                if (room.state.phase === PHASE.WRITING) {
-                    const currentWriterId = room.state.turnOrder?.[room.state.turnIndex];
-                    if (currentWriterId === socket.id) {
-                        console.log(`Current writer ${player?.username} disconnected. Skipping turn...`);
-                        if (room.timerInterval) clearInterval(room.timerInterval);
-                        advanceTurn(room);
-                    }
-                }
-            }
-
-            // If all players are gone (or all offline?), close room?
-            // For now, if 0 players remain in array, delete.
-            // If we keep offline players, array length > 0.
-            // Let's check if there are any online players left.
-            const onlinePlayers = room.players.filter(p => !p.isOffline);
-
-            if (onlinePlayers.length === 0) {
-                delete rooms[room.code];
-            } else {
-                // Owner transfer logic (if owner left/offline)
-                if (room.ownerId === socket.id) {
-                    room.ownerId = onlinePlayers[0].id;
-                    onlinePlayers[0].isOwner = true;
-                    if (player) player.isOwner = false;
-                    console.log(`Room ${room.code} owner transferred to ${onlinePlayers[0].username}`);
-                }
-
-                // Only broadcast to room if it still exists
-                broadcastPlayerList(room);
-            }
-            // Always update public lobby after changes
-            broadcastPublicRooms();
-        }
-    });
-});
-
-const PORT = process.env.PORT || 3000;
-// Force restart
-server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+require('dotenv').config();
+const express = require('express');
+const http = require('http');
+const { Server } = require("socket.io");
+const cors = require('cors');
+const crypto = require('crypto');
+const path = require('path');
+const { createArtProviders } = require('./lib/artProviders');
+const { createImageCache } = require('./lib/imageCache');
+const { validateRoomSettings, withDefaultSettings } = require('./lib/roomSettings');
+const { PHASE, SKIP_VOTE } = require('./lib/constants');
+const { createViews } = require('./lib/views');
+const { createAuditLog } = require('./lib/auditLog');
+const { createAdminApi } = require('./lib/admin');
+const { createVecbotOutbox } = require('./lib/vecbotOutbox');
+const { emptyStats, parsePointsRule, recordRound, matchWinners, buildMatchSummary } = require('./lib/matchSummary');
+const { createRoomStore } = require('./lib/roomStore');
+const { createScheduler } = require('./lib/scheduler');
+const { createRoomReaper, parseIdleTtls, touchRoom } = require('./lib/roomReaper');
+const { createChat, loadWordFilter } = require('./lib/chat');
+const { createRateLimiter, parseRateLimit } = require('./lib/rateLimiter');
+const { EVENT_SCHEMAS, validateEvent, createReply } = require('./lib/socketEvents');
+const { createI18n } = require('./lib/i18n');
+const { loadWordRules } = require('./lib/wordRules');
+const { loadWordPacks } = require('./lib/wordPacks');
+const { loadBotBrain } = require('./lib/bots');
+const { scoreVote, scoreRoundEnd, scoreGuess } = require('./lib/scoring');
+const { createRoomAccess } = require('./lib/roomAccess');
+
+const app = express();
+const CLIENT_URL = process.env.CLIENT_URL || "https://vechiron.com";
+const VECB0T_API_BASE = (process.env.VECB0T_API_BASE || 'https://vechiron.com/api').replace(/\/+$/, '');
+// No default: without the shared secret, notifications wait in the outbox
+const SKETCHQUEST_GAME_SECRET = process.env.SKETCHQUEST_GAME_SECRET || null;
+const PORT = process.env.PORT || 3000;
+const TRUSTED_PROXY_HOPS = Math.max(1, parseInt(process.env.TRUSTED_PROXY_HOPS) || 1); // Proxies in front of the server (Render: 1)
+// Admin API is disabled unless a secret is configured
+const ADMIN_SECRET = process.env.ADMIN_SECRET || null;
+// Where clients can reach this server (round images are served from here)
+const PUBLIC_SERVER_URL = (process.env.PUBLIC_SERVER_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+const artProviders = createArtProviders({
+    chain: (process.env.ART_PROVIDERS || 'met,loremflickr').split(',').map(n => n.trim()).filter(Boolean),
+    packDir: process.env.ART_PACK_DIR,
+    urlListFile: process.env.ART_URL_LIST_FILE
+});
+const imageCache = createImageCache({
+    dir: process.env.IMAGE_CACHE_DIR || null,
+    maxEntries: parseInt(process.env.IMAGE_CACHE_MAX) || 500
+});
+const ART_FETCH_ATTEMPTS = 3; // Pairs tried per round before settling for the offline pack
+const roomStore = createRoomStore({
+    backend: process.env.ROOM_STORE || 'file',
+    dir: process.env.ROOM_STORE_DIR || path.join(__dirname, 'storage', 'rooms')
+});
+
+// req.ip (admin audit log) reads X-Forwarded-For the same way getClientIp does
+app.set('trust proxy', TRUSTED_PROXY_HOPS);
+
+app.use(cors({
+    origin: CLIENT_URL
+}));
+
+// Round artwork, proxied under opaque per-round IDs. SVGs from any source are
+// served too, so nothing in an image may run scripts or load anything.
+app.get('/round-images/:id', (req, res) => {
+    const image = imageCache.get(req.params.id);
+    if (!image) return res.status(404).end();
+    res.set({
+        'Content-Type': image.contentType,
+        'Cache-Control': 'private, max-age=3600',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'"
+    });
+    res.send(image.buffer);
+});
+
+const server = http.createServer(app);
+const io = new Server(server, {
+    cors: {
+        origin: [
+            "http://localhost:5173",
+            "http://127.0.0.1:5173",
+            "http://192.168.3.2:5173", // Local Network
+            "https://vechiron.com",    // Production Frontend
+            "http://vechiron.com",
+            "https://www.vechiron.com",
+            "https://heumrage.com",
+            "http://heumrage.com",
+            "https://www.heumrage.com"
+        ],
+        methods: ["GET", "POST"]
+    }
+});
+
+// --- Constants & Data ---
+const MAX_SPECTATORS = 20;
+const MIN_PLAYERS = 2;
+
+// Errors and system messages go out as code + params, with the text from the
+// recipient's catalog (data/locales); DEFAULT_LOCALE when a client sends none we know
+const i18n = createI18n({ defaultLocale: process.env.DEFAULT_LOCALE || 'tr' });
+
+// Chat: history replayed on join, per-player rate limit, word filter (see lib/chat.js)
+const chat = createChat({
+    maxLength: parseInt(process.env.CHAT_MAX_LENGTH) || 200,
+    historySize: parseInt(process.env.CHAT_HISTORY_SIZE) || 50,
+    filter: loadWordFilter(process.env.CHAT_FILTER_FILE || undefined)
+});
+const chatLimiter = createRateLimiter(parseRateLimit(process.env.CHAT_RATE_LIMIT, { limit: 5, windowMs: 10000 }));
+// Params for the chat rejections that need them (see "errors" in data/locales)
+const CHAT_ERROR_PARAMS = {
+    too_long: { maxLength: chat.maxLength },
+    rate_limited: { reason: 'chat' }
+};
+
+// Every client event counts against both limits (chat has its own, stricter one)
+const socketLimiter = createRateLimiter(parseRateLimit(process.env.SOCKET_RATE_LIMIT, { limit: 30, windowMs: 5000 }));
+const ipLimiter = createRateLimiter(parseRateLimit(process.env.IP_RATE_LIMIT, { limit: 120, windowMs: 10000 }));
+
+// Room passwords and invites (lib/roomAccess.js); password tries are limited per address
+const roomAccess = createRoomAccess({ secret: process.env.INVITE_SECRET || null });
+const INVITE_TTL = parseInt(process.env.INVITE_TTL) || 24 * 60 * 60; // Seconds, when create_invite names none
+const passwordLimiter = createRateLimiter(parseRateLimit(process.env.PASSWORD_RATE_LIMIT, { limit: 5, windowMs: 60000 }));
+
+// Forbidden words per art theme for the room's word rules (see lib/wordRules.js)
+const wordRules = loadWordRules(process.env.THEME_SYNONYMS_FILE || undefined);
+
+// Secret words for the word mode (bundled tr/en packs, plus WORD_PACK_DIR)
+const wordPacks = loadWordPacks({ packDir: process.env.WORD_PACK_DIR });
+
+// Bot players: what they write comes from a theme word list (lib/bots.js)
+const botBrain = loadBotBrain(process.env.BOT_WORDS_FILE || undefined);
+const BOT_THINK_MS = [1500, 4000]; // Delay before each bot move: min, max
+
+// Impostor last-chance guess
+const IMPOSTOR_GUESS_OPTIONS = 4;
+
+// Strictly Paintings / Art Genres
+const ART_THEMES = [
+    'Portrait', 'Still Life', 'Landscape',
+    'Oil painting', 'Watercolor', 'Impressionism', 'Surrealism',
+    'Flowers', 'Mythological painting'
+];
+
+// --- State ---
+const rooms = {};
+const scheduler = createScheduler(); // Phase deadlines of every room, keyed by room code
+
+// Restored rooms: how long a restored timer runs at least, and how long a room
+// nobody is online in (restored, or its last player dropped) may wait for a
+// player to come back before it is dropped
+const RESTORE_MIN_REMAINING = 15;
+const RESTORE_GRACE_MS = 2 * 60 * 1000;
+
+// Graceful shutdown: announced downtime (sent to clients) and how long
+// the restart notice gets to reach them before sockets are closed
+const SHUTDOWN_RESTART_ETA = parseInt(process.env.SHUTDOWN_RESTART_ETA) || 60;
+const SHUTDOWN_NOTICE_MS = 1000;
+const SHUTDOWN_FORCE_EXIT_MS = 10000;
+let shuttingDown = false;
+
+// --- Helpers ---
+const ROOM_CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const ROOM_CODE_LENGTH = 5;
+// Never one of the open rooms (restored ones included)
+const generateRoomCode = () => {
+    let code;
+    do {
+        code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)]).join('');
+    } while (rooms[code]);
+    return code;
+};
+const generateSessionToken = () => crypto.randomBytes(24).toString('hex');
+
+// Private rooms are only reachable by code or invite
+const getPublicRooms = (locale = i18n.defaultLocale) => Object.values(rooms)
+    .filter(r => r.isPublic !== false && !r.isSimulation)
+    .map(r => views.publicRoom(r, { unknownOwner: i18n.t(locale, 'messages.unknown_owner') }));
+
+const vecbotOutbox = createVecbotOutbox({
+    baseUrl: VECB0T_API_BASE,
+    secret: SKETCHQUEST_GAME_SECRET,
+    file: process.env.VECBOT_OUTBOX_FILE || path.join(__dirname, 'storage', 'vecbot-outbox.json'),
+    legacySecretHeader: process.env.VECBOT_LEGACY_SECRET_HEADER === '1'
+});
+
+// Queued, retried and signed by the outbox; match ID + username is the idempotency key
+const notifyVecbotWinner = (matchId, username) => {
+    if (!username) return;
+    const queued = vecbotOutbox.enqueue({
+        key: `${matchId}:${username}`,
+        path: '/integrations/sketchquest-win',
+        body: { username, matchId }
+    });
+    if (queued) console.log(`[SketchQuest] Vecbot puan bildirimi kuyruğa alındı -> ${username} (${matchId})`);
+};
+
+// Suggested points per player in the match summary (see lib/matchSummary.js)
+const VECBOT_POINTS_RULE = parsePointsRule(process.env.VECBOT_POINTS_RULE);
+
+// Full match summary for Vecbot, next to the per-winner calls it already understands
+const reportMatchSummary = (room) => {
+    if (!room || !room.state.matchId || room.state.summarySent) return;
+    room.state.summarySent = true;
+
+    const summary = buildMatchSummary(room, VECBOT_POINTS_RULE);
+    vecbotOutbox.enqueue({
+        key: `${summary.matchId}:summary`,
+        path: '/integrations/sketchquest-match',
+        body: summary
+    });
+    console.log(`[SketchQuest] Maç özeti kuyruğa alındı (${summary.matchId}), kazananlar: ${summary.winners.join(', ')}`);
+};
+
+const awardMatchWinners = (room) => {
+    if (!room || room.state?.winnerAwardSent) return;
+    if (!Array.isArray(room.players) || room.players.length === 0) return;
+
+    // Bots have no Vecbot account to credit: the best human wins
+    const winners = matchWinners(room.players);
+    if (!winners.length) return;
+
+    room.state.winnerAwardSent = true;
+    winners.forEach((winner) => {
+        notifyVecbotWinner(room.state.matchId, (winner.username || '').trim());
+    });
+};
+
+// Language of the client behind a socket id: handshake, join payload or set_locale
+const localeOf = (socketId) => io.sockets.sockets.get(socketId)?.data.locale || i18n.defaultLocale;
+
+// Error text for a reply: validation rules have their own messages, and
+// params.reason picks a more specific variant of a code when the catalog has one
+const errorMessage = (locale, code, params = {}) => params.rule
+    ? i18n.t(locale, `validation.${params.rule}`, params)
+    : i18n.t(locale, params.reason ? [`errors.${code}.${params.reason}`, `errors.${code}`] : `errors.${code}`, params);
+
+const settingsErrors = (locale, errors) => errors.map(({ field, rule, params }) => ({
+    field,
+    rule,
+    params,
+    message: i18n.t(locale, `validation.${rule}`, { field, ...params })
+}));
+
+// System messages: { code, params, message } in the recipient's language
+const systemMessage = (socketId, code, params = {}) => ({
+    code,
+    params,
+    message: i18n.t(localeOf(socketId), `messages.${code}`, params)
+});
+
+// Payloads are built per recipient by the view layer (lib/views.js)
+const views = createViews({
+    isValidVoteTarget: (room, targetId) => isValidVoteTarget(room, targetId),
+    translate: (viewerId, key, params) => i18n.t(localeOf(viewerId), key, params),
+    roundInfo: (room, player) => gameModeOf(room).hasRound(room) ? gameModeOf(room).roundInfo(room, player) : null
+});
+
+// Everyone currently connected to the room: online players and spectators
+const getRecipientIds = (room) => [
+    ...room.players.filter(p => !p.isOffline).map(p => p.id),
+    ...room.spectators.map(s => s.id)
+];
+
+const emitPerRecipient = (room, event, build) => {
+    getRecipientIds(room).forEach(id => io.to(id).emit(event, build(id)));
+};
+
+const broadcastState = (room) => {
+    emitPerRecipient(room, 'game_state_update', () => views.gameState(room));
+};
+
+const sendRoomSnapshot = (room, socketId) => {
+    io.to(socketId).emit('room_snapshot', views.snapshot(room, socketId));
+};
+
+const broadcastPlayerList = (room) => {
+    emitPerRecipient(room, 'player_list_update', (id) => views.playerList(room, id));
+    persistRoom(room);
+};
+
+// Snapshot to the room store (coalesced); closed and simulated rooms are never written
+const persistRoom = (room) => {
+    if (rooms[room.code] === room && !room.isSimulation) roomStore.save(room);
+};
+
+// Move every reference of a player from an old socket id to a new one
+const rebindPlayer = (room, oldId, newId) => {
+    const player = room.players.find(p => p.id === oldId);
+    if (player) player.id = newId;
+
+    if (room.ownerId === oldId) room.ownerId = newId;
+    if (Array.isArray(room.state.turnOrder)) {
+        room.state.turnOrder = room.state.turnOrder.map(id => id === oldId ? newId : id);
+    }
+    if (room.state.turn && room.state.turn.writerId === oldId) room.state.turn.writerId = newId;
+    (room.state.votePasses || []).forEach(pass => {
+        if (pass.votes[oldId]) {
+            pass.votes[newId] = pass.votes[oldId];
+            delete pass.votes[oldId];
+        }
+        Object.keys(pass.votes).forEach(voterId => { if (pass.votes[voterId] === oldId) pass.votes[voterId] = newId; });
+        if (pass.caughtId === oldId) pass.caughtId = newId;
+    });
+    room.players.forEach(p => {
+        if (p.vote === oldId) p.vote = newId;
+        if (Array.isArray(p.caughtBy)) p.caughtBy = p.caughtBy.map(id => id === oldId ? newId : id);
+    });
+
+    const guess = room.state.impostorGuess;
+    if (guess) {
+        if (guess.guesses[oldId]) {
+            guess.guesses[newId] = guess.guesses[oldId];
+            delete guess.guesses[oldId];
+        }
+        if (guess.eliminatedId === oldId) guess.eliminatedId = newId;
+    }
+};
+
+// Replay the chat history the recipient is allowed to see
+const sendChatHistory = (room, socketId, { isSpectator = false } = {}) => {
+    io.to(socketId).emit('chat_history', { messages: chat.historyFor(room, { isSpectator }) });
+};
+
+const broadcastSpectatorList = (room) => {
+    io.to(room.code).emit('spectator_list_update', views.spectatorList(room));
+};
+
+const spectatorChannel = (room) => `${room.code}:spectators`;
+
+const addSpectator = (room, socket, username, { wantsToPlay = false } = {}) => {
+    // wantsToPlay: joined mid-game, gets a seat automatically back in the lobby
+    const spectator = { id: socket.id, username, isSpectator: true, wantsToPlay, ip: getClientIp(socket) };
+    room.spectators.push(spectator);
+    socket.join(room.code);
+    socket.join(spectatorChannel(room));
+    return spectator;
+};
+
+// Move a spectator into the player list (lobby only, capacity permitting)
+const promoteSpectator = (room, spectatorId) => {
+    const spectator = room.spectators.find(s => s.id === spectatorId);
+    if (!spectator || room.players.length >= room.settings.maxPlayers) return null;
+
+    room.spectators = room.spectators.filter(s => s.id !== spectatorId);
+    io.sockets.sockets.get(spectatorId)?.leave(spectatorChannel(room));
+
+    const player = { id: spectator.id, username: spectator.username, score: 0, role: null, words: [], vote: null, isMuted: !!spectator.isMuted, sessionToken: generateSessionToken(), ip: spectator.ip };
+    room.players.push(player);
+    io.to(player.id).emit('promoted_to_player', views.promotedToPlayer(room, player));
+    return player;
+};
+
+// Real client address (Render sits behind a proxy). Each trusted proxy appends
+// the address it saw to X-Forwarded-For, so the client's is TRUSTED_PROXY_HOPS
+// entries from the right; anything further left is whatever the client sent.
+const getClientIp = (socket) => {
+    const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+        .split(',').map(entry => entry.trim()).filter(Boolean);
+    if (!forwarded.length) return (socket.handshake.address || '').trim();
+    return forwarded[Math.max(0, forwarded.length - TRUSTED_PROXY_HOPS)];
+};
+
+const isBanned = (room, username, ip) => room.bans.some(b =>
+    (b.username && b.username === String(username || '').trim().toLowerCase()) || (b.ip && b.ip === ip));
+
+// A valid invite always gets in; otherwise a password-protected room needs its password.
+// Resolves to null, or the error code for the reply.
+const checkRoomAccess = async (room, { password, invite, ip }) => {
+    if (invite) {
+        const problem = roomAccess.checkInvite(invite, room);
+        return problem ? `invite_${problem}` : null;
+    }
+    if (!room.passwordHash) return null;
+    if (!password) return 'password_required';
+    if (!passwordLimiter.hit(ip)) return 'rate_limited';
+    return await roomAccess.checkPassword(password, room.passwordHash) ? null : 'wrong_password';
+};
+
+// Bots keep no room alive on their own
+const hasOnlineHumans = (room) => room.players.some(p => !p.isOffline && !p.isBot);
+
+// Hand the room to the first online player when the owner goes away
+const transferOwnership = (room) => {
+    const onlinePlayers = room.players.filter(p => !p.isOffline && !p.isBot && p.id !== room.ownerId);
+    if (!onlinePlayers.length) return;
+    const previous = room.players.find(p => p.id === room.ownerId);
+    room.ownerId = onlinePlayers[0].id;
+    onlinePlayers[0].isOwner = true;
+    if (previous) previous.isOwner = false;
+    console.log(`Room ${room.code} owner transferred to ${onlinePlayers[0].username}`);
+};
+
+// Every scheduler job a room may own
+const restoreJobKey = (room) => `${room.code}:restore`;
+const botJobKey = (room, bot) => `${room.code}:bot:${bot.id}`;
+const clearRoomTimers = (room) => {
+    scheduler.cancel(room.code);
+    scheduler.cancel(restoreJobKey(room));
+    room.players.filter(p => p.isBot).forEach(bot => scheduler.cancel(botJobKey(room, bot)));
+};
+
+// Nobody is online in the room: give its players RESTORE_GRACE_MS to come
+// back (resume_session) before the room is closed with `reason`
+const awaitReturningPlayers = (room, reason) => {
+    scheduler.schedule(restoreJobKey(room), Date.now() + RESTORE_GRACE_MS, () => {
+        if (rooms[room.code] !== room) return;
+        if (!hasOnlineHumans(room)) return closeRoom(room, reason);
+
+        // Offline players would block the ready check forever
+        if (room.state.phase === PHASE.LOBBY) room.players = room.players.filter(p => !p.isOffline);
+        if (!room.players.some(p => p.id === room.ownerId && !p.isOffline)) transferOwnership(room);
+        broadcastPlayerList(room);
+        broadcastPublicRooms();
+    });
+};
+
+const closeRoom = (room, reason = null) => {
+    clearRoomTimers(room);
+    io.to(room.code).emit('room_closed', { reason });
+    io.in(room.code).socketsLeave(room.code);
+    io.in(spectatorChannel(room)).socketsLeave(spectatorChannel(room));
+    clearMatchRounds(room);
+    delete rooms[room.code];
+    roomStore.remove(room.code);
+    broadcastPublicRooms();
+    console.log(`Room ${room.code} closed${reason ? ` (${reason})` : ''}`);
+};
+
+// Kick a player or spectator out of the room (owner kick, admin kick/ban)
+const removeFromRoom = (room, targetId) => {
+    const socket = io.sockets.sockets.get(targetId);
+
+    const targetSpectator = room.spectators.find(s => s.id === targetId);
+    if (targetSpectator) {
+        io.to(targetId).emit('kicked');
+        socket?.leave(room.code);
+        socket?.leave(spectatorChannel(room));
+        room.spectators = room.spectators.filter(s => s.id !== targetId);
+        broadcastSpectatorList(room);
+        broadcastPublicRooms();
+        return targetSpectator;
+    }
+
+    const targetPlayer = room.players.find(p => p.id === targetId);
+    if (!targetPlayer) return null;
+
+    io.to(targetId).emit('kicked');
+    // Force disconnect logic
+    socket?.leave(room.code);
+
+    if (room.ownerId === targetId) transferOwnership(room);
+    room.players = room.players.filter(p => p.id !== targetId);
+    if (targetPlayer.isBot) scheduler.cancel(botJobKey(room, targetPlayer));
+
+    if (!hasOnlineHumans(room)) {
+        closeRoom(room, 'empty');
+        return targetPlayer;
+    }
+
+    // Handle Mid-Game Kick Logic
+    if (room.state.phase === PHASE.WRITING) {
+        const currentWriterId = room.state.turnOrder?.[room.state.turnIndex];
+        if (currentWriterId === targetId) {
+            console.log(`Kicked player was active writer (${targetPlayer.username}). Advancing turn...`);
+            scheduler.cancel(room.code);
+            advanceTurn(room);
+        }
+    }
+
+    broadcastPlayerList(room);
+    broadcastPublicRooms();
+    return targetPlayer;
+};
+
+// Built once per language in use
+const broadcastPublicRooms = () => {
+    const byLocale = {};
+    io.sockets.sockets.forEach(s => {
+        const locale = s.data.locale || i18n.defaultLocale;
+        if (!byLocale[locale]) byLocale[locale] = getPublicRooms(locale);
+        s.emit('public_rooms_update', byLocale[locale]);
+    });
+};
+
+// --- Game Logic ---
+const setPhase = (room, phase, duration) => {
+    room.state.phase = phase;
+    if (phase === PHASE.LOBBY) room.state.paused = false;
+    startRoomTimer(room, duration);
+
+    // Clients count down from endsAt themselves; it is sent once per phase
+    broadcastState(room);
+    persistRoom(room);
+    scheduleBots(room);
+
+    // If transitioning out of lobby, update public rooms
+    if (phase !== PHASE.LOBBY) broadcastPublicRooms();
+};
+
+// Replaces the room's deadline; a paused room keeps the time for resume_game
+const startRoomTimer = (room, seconds) => {
+    scheduler.cancel(room.code);
+    room.state.endsAt = null;
+    room.state.pausedRemaining = null;
+    if (!(seconds > 0)) return;
+
+    const endsAt = Date.now() + seconds * 1000;
+    scheduler.schedule(room.code, endsAt, () => {
+        if (rooms[room.code] === room) handlePhaseTimeout(room);
+    });
+    if (room.state.paused) room.state.pausedRemaining = scheduler.pause(room.code);
+    else room.state.endsAt = endsAt;
+};
+
+const pauseRoom = (room) => {
+    const remaining = scheduler.pause(room.code);
+    if (remaining === null) return false;
+    room.state.paused = true;
+    room.state.pausedRemaining = remaining;
+    room.state.endsAt = null;
+    return true;
+};
+
+const resumeRoom = (room) => {
+    const endsAt = scheduler.resume(room.code);
+    if (endsAt === null) return false;
+    room.state.paused = false;
+    room.state.pausedRemaining = null;
+    room.state.endsAt = endsAt;
+    return true;
+};
+
+const handlePhaseTimeout = (room) => {
+    switch (room.state.phase) {
+        case PHASE.WRITING:
+            // If checking turns, timeout means skip turn
+            advanceTurn(room);
+            break;
+        case PHASE.DISCUSSING:
+            setPhase(room, PHASE.VOTING, room.settings.timers.voting);
+            break;
+        case PHASE.VOTING:
+            calculateResults(room);
+            break;
+        case PHASE.IMPOSTOR_GUESS:
+            resolveImpostorGuess(room);
+            break;
+        case PHASE.RESULTS:
+            if (room.state.currentRound < room.settings.rounds) {
+                // Next round
+                nextRound(room);
+            } else if (room.isSimulation) {
+                finishSimulation(room);
+            } else {
+                // Match match end
+                awardMatchWinners(room);
+                reportMatchSummary(room);
+                setPhase(room, PHASE.MATCH_END, room.settings.timers.matchEnd);
+                room.players.forEach(p => p.hasSkipped = false); // Reset skip flags
+            }
+            break;
+        case PHASE.MATCH_END:
+            setPhase(room, PHASE.LOBBY, 0);
+            resetMatch(room);
+            break;
+        case PHASE.LOBBY:
+            // Countdown finished, start game
+            launchGame(room);
+            break;
+    }
+};
+
+const roundImageUrl = (id) => `${PUBLIC_SERVER_URL}/round-images/${id}`;
+
+// Download + check both images of a pair; only pairs known to be good are kept
+const cacheArtPair = async (pair) => {
+    const innocentId = await imageCache.putUrl(pair.innocent, pair.files?.innocent);
+    let impostorId;
+    try {
+        impostorId = await imageCache.putUrl(pair.impostor, pair.files?.impostor);
+    } catch (err) {
+        imageCache.release([innocentId]);
+        throw err;
+    }
+    return toCachedPair(pair, innocentId, impostorId);
+};
+
+// Same for local pack files, synchronously (emergency fallback mid-match)
+const cacheArtPairSync = (pair) => {
+    const innocentId = imageCache.putFileSync(pair.files.innocent);
+    const impostorId = imageCache.putFileSync(pair.files.impostor);
+    return toCachedPair(pair, innocentId, impostorId);
+};
+
+const toCachedPair = (pair, innocentId, impostorId) => ({
+    innocent: roundImageUrl(innocentId),
+    impostor: roundImageUrl(impostorId),
+    theme: pair.theme,
+    provider: pair.provider,
+    imageIds: [innocentId, impostorId],
+    // Server-side only: lets a restored room fetch its images again
+    sources: { innocent: pair.innocent, impostor: pair.impostor, files: pair.files || null }
+});
+
+const releaseMatchImages = (room) => {
+    (room.state.matchArtCache || []).forEach(pair => imageCache.release(pair.imageIds));
+    if (room.state.artPair) imageCache.release(room.state.artPair.imageIds);
+    room.state.matchArtCache = [];
+    room.state.artPair = null;
+};
+
+// Room setting, clamped so impostors are always outnumbered by innocents
+const getImpostorCount = (room) => {
+    const wanted = room.settings.impostorCount;
+    const max = Math.max(1, Math.floor((room.players.length - 1) / 2));
+    return Math.min(Math.max(1, wanted), max);
+};
+
+const nextRound = (room) => {
+    // Cleanup Offline players from previous round
+    room.players = room.players.filter(p => !p.isOffline);
+    broadcastPlayerList(room); // Update client lists immediately
+
+    if (room.players.length < MIN_PLAYERS) {
+        console.log(`Not enough players to start Round ${room.state.currentRound + 1}. Resetting to Lobby.`);
+        setPhase(room, PHASE.LOBBY, 0);
+        resetMatch(room);
+        return;
+    }
+
+    room.state.currentRound++;
+    room.state.lastResults = null;
+    room.state.runoff = null;
+    room.state.impostorGuess = null;
+    room.state.votePasses = [];
+
+    // Reset Round-specific player data
+    room.players.forEach(p => {
+        p.role = null;
+        p.words = [];
+        p.vote = null;
+        p.isCaught = false;
+        p.caughtBy = null;
+        p.scoreBreakdown = [];
+        p.isReady = true; // Auto-ready for next round
+    });
+
+    // 1. Round material for the game mode (prepared at match start)
+    gameModeOf(room).setupRound(room);
+
+    // Assign Roles
+    const impostorCount = getImpostorCount(room);
+
+    // Shuffle players to assign roles randomly
+    const shuffledPlayers = [...room.players].sort(() => Math.random() - 0.5);
+
+    // First, set everyone to innocent
+    room.players.forEach(p => p.role = 'innocent');
+
+    // Assign Impostors
+    for (let i = 0; i < impostorCount; i++) {
+        if (shuffledPlayers[i]) {
+            shuffledPlayers[i].role = 'impostor';
+        }
+    }
+
+    console.log('Roles:', room.players.map(p => `${p.username}:${p.role}`).join(', '));
+
+    // Broadcast Round Init (every impostor gets the impostor side, innocents the innocent one)
+    room.players.forEach(p => sendRoundInit(room, p));
+
+    // Broadcast masked active player list so everyone knows who is playing
+    broadcastPlayerList(room);
+
+    startWritingPhase(room); // Reuse writing phase starter
+};
+
+const startWritingPhase = (room) => {
+    room.state.phase = PHASE.WRITING;
+    broadcastPublicRooms(); // Update lobby to show "In Game"
+    // Helper to shuffle
+    const shuffle = (array) => array.sort(() => Math.random() - 0.5);
+    // Every lap goes round the table in the same order
+    room.state.turnOrder = shuffle(room.players.map(p => p.id));
+    room.state.turnIndex = 0;
+    room.state.lap = 0;
+
+    // Clear words
+    room.players.forEach(p => p.words = []);
+
+    startTurn(room);
+};
+
+const startTurn = (room) => {
+    if (room.state.turnIndex >= room.state.turnOrder.length && room.state.lap + 1 < room.settings.laps) {
+        // Lap done, next one starts from the first writer again
+        room.state.lap++;
+        room.state.turnIndex = 0;
+    }
+    if (room.state.turnIndex >= room.state.turnOrder.length) {
+        // All turns done
+        setPhase(room, PHASE.DISCUSSING, room.settings.timers.discussion);
+        // Reset discussion skip flags
+        room.players.forEach(p => p.hasSkippedDiscussion = false);
+        broadcastPlayerList(room);
+        return;
+    }
+
+    const currentWriterId = room.state.turnOrder[room.state.turnIndex];
+    const currentWriter = room.players.find(p => p.id === currentWriterId);
+
+    // Skip if player left or is offline
+    if (!currentWriter || currentWriter.isOffline) {
+        console.log(`Skipping offline writer: ${currentWriterId}`);
+        advanceTurn(room);
+        return;
+    }
+
+    // Per-turn writing time from the room settings; a writing timeout skips the turn
+    startRoomTimer(room, room.settings.timers.writing);
+    // Update current turn info for client
+    room.state.turn = {
+        writerId: currentWriterId,
+        writerName: currentWriter.username,
+        lap: room.state.lap
+    };
+    broadcastState(room); // Updates who is writing
+    persistRoom(room);
+    scheduleBots(room);
+};
+
+const advanceTurn = (room) => {
+    room.state.turnIndex++;
+    startTurn(room);
+};
+
+// Players who still take part in the vote (caught impostors are out)
+const getEligibleVoters = (room) => room.players.filter(p => p.role && !p.isOffline && !p.isCaught);
+
+// Is this vote target allowed right now? (runoffs narrow the field)
+const isValidVoteTarget = (room, targetId) => {
+    const runoff = room.state.runoff;
+    if (targetId === SKIP_VOTE) return !runoff || runoff.includes(SKIP_VOTE);
+    const target = room.players.find(t => t.id === targetId);
+    if (!target || !target.role || target.isCaught) return false;
+    return !runoff || runoff.includes(targetId);
+};
+
+// Ballots that count in the current vote: { voterId: targetId }
+const countedVotes = (room) => Object.fromEntries(room.players
+    .filter(p => p.vote && p.role && !p.isCaught && isValidVoteTarget(room, p.vote))
+    .map(p => [p.id, p.vote]));
+
+const tallyVotes = (room) => {
+    const votes = {};
+    Object.values(countedVotes(room)).forEach(targetId => {
+        votes[targetId] = (votes[targetId] || 0) + 1;
+    });
+
+    const maxVotes = Math.max(0, ...Object.values(votes));
+    const leaders = maxVotes > 0 ? Object.keys(votes).filter(id => votes[id] === maxVotes) : [];
+    return { votes, maxVotes, leaders };
+};
+
+const startRunoff = (room, candidates) => {
+    room.state.runoff = candidates;
+    room.players.forEach(p => p.vote = null);
+
+    io.to(room.code).emit('runoff_started', views.runoff(room, candidates, SKIP_VOTE));
+    broadcastPlayerList(room);
+    setPhase(room, PHASE.VOTING, room.settings.timers.runoff);
+};
+
+// Scores awarded by the room's ruleset (lib/scoring.js). Scores never drop
+// below zero; the player's round breakdown lists what was actually applied.
+const applyAwards = (room, awards) => awards.forEach(({ playerId, rule, points, params }) => {
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return;
+    const applied = Math.max(points, -player.score);
+    if (!applied) return;
+    player.score += applied;
+    (player.scoreBreakdown = player.scoreBreakdown || []).push({ rule, points: applied, params });
+});
+
+// A vote that settled something (not a tie sent to a runoff) is scored and
+// kept for the end-of-round rules
+const recordVote = (room, votes, caughtId = null) => {
+    room.state.votePasses = [...(room.state.votePasses || []), { votes, caughtId }];
+    applyAwards(room, scoreVote(room.settings.scoring, { players: room.players, votes, caughtId }));
+};
+
+const calculateResults = (room) => {
+    // Tally votes (caught impostors can neither vote nor be voted again)
+    const { leaders } = tallyVotes(room);
+    const votes = countedVotes(room);
+    let votedPlayerId = leaders.length === 1 ? leaders[0] : null;
+
+    if (leaders.length > 1) {
+        if (!room.state.runoff) {
+            console.log(`[Voting] Tie in room ${room.code} between ${leaders.join(', ')}. Starting runoff.`);
+            startRunoff(room, leaders);
+            return;
+        }
+
+        // The runoff tied as well: settle it with the room's fallback rule
+        room.state.runoff = null;
+        switch (room.settings.tieFallback) {
+            case 'random': {
+                const players = leaders.filter(id => id !== SKIP_VOTE);
+                votedPlayerId = players.length ? players[Math.floor(Math.random() * players.length)] : null;
+                break;
+            }
+            case 'impostor':
+                recordVote(room, votes);
+                finishRound(room);
+                return;
+            case 'none':
+            default:
+                recordVote(room, votes);
+                finishRound(room, { draw: true });
+                return;
+        }
+    }
+    room.state.runoff = null;
+
+    // Nobody voted, or "skip" won: no one is eliminated
+    const votedPlayer = room.players.find(p => p.id === votedPlayerId);
+    recordVote(room, votes, votedPlayer?.role === 'impostor' ? votedPlayer.id : null);
+    if (!votedPlayer) {
+        finishRound(room);
+        return;
+    }
+
+    if (votedPlayer.role === 'impostor') {
+        votedPlayer.isCaught = true;
+        votedPlayer.caughtBy = [];
+        // Only innocents earned the catch; an impostor voting out a teammate didn't
+        room.players.forEach(p => {
+            if (p.vote === votedPlayer.id && p.role === 'innocent') {
+                votedPlayer.caughtBy.push(p.id);
+                if (p.matchStats) p.matchStats.correctVotes++;
+            }
+        });
+
+        // More impostors hiding? Vote again, one impostor at a time.
+        const remaining = room.players.filter(p => p.role === 'impostor' && !p.isCaught);
+        if (remaining.length > 0) {
+            io.to(room.code).emit('impostor_caught', {
+                impostorId: votedPlayer.id,
+                impostorName: votedPlayer.username,
+                remaining: remaining.length
+            });
+            room.players.forEach(p => p.vote = null);
+            broadcastPlayerList(room);
+            setPhase(room, PHASE.VOTING, room.settings.timers.voting);
+            return;
+        }
+    }
+
+    finishRound(room, { eliminated: votedPlayer });
+};
+
+// Options for the caught impostors: the innocents' artwork among decoys from
+// rounds already played, or theme labels when too few rounds are behind us.
+// Options are revealed to everyone, so later rounds' artwork must never show up.
+const buildArtGuessOptions = (room) => {
+    const art = room.state.artPair;
+    const shuffle = (array) => array.sort(() => Math.random() - 0.5);
+    const decoyImages = [...new Set((room.state.matchArtCache || [])
+        .slice(0, Math.max(0, room.state.currentRound - 1))
+        .flatMap(pair => [pair.innocent, pair.impostor])
+        .filter(url => url && url !== art.innocent && url !== art.impostor))];
+
+    let kind = 'image';
+    let answer = { imageUrl: art.innocent };
+    let decoys = shuffle(decoyImages).slice(0, IMPOSTOR_GUESS_OPTIONS - 1).map(imageUrl => ({ imageUrl }));
+
+    if (decoys.length < 2 && art.theme) {
+        kind = 'theme';
+        answer = { label: art.theme };
+        decoys = shuffle(ART_THEMES.filter(t => t !== art.theme))
+            .slice(0, IMPOSTOR_GUESS_OPTIONS - 1)
+            .map(label => ({ label }));
+    }
+
+    const choices = shuffle([{ ...answer, isAnswer: true }, ...decoys]);
+    const options = choices.map(({ isAnswer, ...opt }, i) => ({ id: `opt${i + 1}`, ...opt }));
+    const answerId = options[choices.findIndex(opt => opt.isAnswer)].id;
+    return { kind, options, answerId };
+};
+
+const sendImpostorGuessOptions = (room, player) => {
+    if (!room.state.impostorGuess || !player.isCaught) return;
+    io.to(player.id).emit('impostor_guess_options', views.impostorGuessOptions(room));
+};
+
+const startImpostorGuess = (room, { eliminated = null, draw = false } = {}) => {
+    const { kind, options, answerId } = gameModeOf(room).guessOptions(room);
+    room.state.impostorGuess = {
+        kind,
+        options,
+        answerId,
+        guesses: {},
+        resolved: false,
+        eliminatedId: eliminated ? eliminated.id : null,
+        draw
+    };
+
+    room.players.filter(p => p.isCaught).forEach(p => sendImpostorGuessOptions(room, p));
+    setPhase(room, PHASE.IMPOSTOR_GUESS, room.settings.timers.impostorGuess);
+};
+
+const resolveImpostorGuess = (room) => {
+    const guess = room.state.impostorGuess;
+    if (!guess || guess.resolved) return;
+    guess.resolved = true;
+
+    // A correct guess steals part of what each of that impostor's voters earned
+    guess.results = room.players.filter(p => p.isCaught).map(impostor => {
+        const guessId = guess.guesses[impostor.id] || null;
+        const correct = guessId === guess.answerId;
+        let stolen = 0;
+        if (correct) {
+            const scored = scoreGuess(room.settings.scoring, {
+                impostorId: impostor.id,
+                voterIds: (impostor.caughtBy || []).filter(id => room.players.some(p => p.id === id)),
+                scoreOf: (id) => room.players.find(p => p.id === id).score
+            });
+            applyAwards(room, scored.awards);
+            stolen = scored.stolen;
+        }
+        return { id: impostor.id, username: impostor.username, guessId, correct, stolen };
+    });
+
+    finishRound(room, {
+        eliminated: room.players.find(p => p.id === guess.eliminatedId) || null,
+        draw: guess.draw
+    });
+};
+
+// Settle every impostor's catch/escape outcome and show the round results
+// draw: a tied runoff with the 'none' fallback, nobody scores for escaping
+const finishRound = (room, { eliminated = null, draw = false } = {}) => {
+    const impostors = room.players.filter(p => p.role === 'impostor');
+    const caught = impostors.filter(p => p.isCaught);
+    const escaped = impostors.filter(p => !p.isCaught);
+
+    // Caught impostors get a last-chance guess before the results
+    if (caught.length > 0 && !room.state.impostorGuess && gameModeOf(room).hasRound(room)) {
+        startImpostorGuess(room, { eliminated, draw });
+        return;
+    }
+    const guess = room.state.impostorGuess;
+
+    applyAwards(room, scoreRoundEnd(room.settings.scoring, { players: room.players, passes: room.state.votePasses || [], draw }));
+
+    const names = (list) => list.map(p => p.username).join(', ');
+    const impostorName = impostors.length ? names(impostors) : "Unknown";
+
+    // The message is localized per recipient by views.results
+    let winner;
+    let messageCode;
+    const messageParams = { impostorName };
+    if (draw) {
+        winner = 'none';
+        messageCode = 'game_over.draw';
+    } else if (impostors.length > 0 && escaped.length === 0) {
+        winner = 'innocents';
+        messageCode = impostors.length > 1 ? 'game_over.all_caught' : 'game_over.caught';
+    } else if (caught.length > 0) {
+        winner = 'impostor';
+        messageCode = 'game_over.partly_caught';
+        Object.assign(messageParams, { caught: names(caught), escaped: names(escaped) });
+    } else {
+        winner = 'impostor';
+        messageCode = impostors.length > 1 ? 'game_over.all_escaped' : 'game_over.escaped';
+    }
+
+    recordRound(room, winner);
+    if (draw) room.state.drawRounds = (room.state.drawRounds || 0) + 1;
+
+    room.state.lastResults = {
+        winner,
+        messageCode,
+        messageParams,
+        impostorName,
+        impostors: impostors.map(p => ({ id: p.id, username: p.username, caught: !!p.isCaught })),
+        eliminated: eliminated ? { id: eliminated.id, username: eliminated.username, role: eliminated.role } : null,
+        impostorGuess: guess ? {
+            kind: guess.kind,
+            options: guess.options,
+            answerId: guess.answerId,
+            results: guess.results || []
+        } : null,
+        mode: room.settings.gameMode,
+        ...gameModeOf(room).reveal(room),
+        // Where this round's points came from, per player
+        scores: room.players.filter(p => p.role).map(p => ({
+            id: p.id,
+            username: p.username,
+            points: (p.scoreBreakdown || []).reduce((sum, entry) => sum + entry.points, 0),
+            score: p.score,
+            breakdown: p.scoreBreakdown || []
+        }))
+    };
+    room.simulation?.rounds.push(room.state.lastResults);
+    emitPerRecipient(room, 'game_over', (id) => views.results(room, id));
+    broadcastPlayerList(room); // Update scores
+    setPhase(room, PHASE.RESULTS, room.settings.timers.results);
+};
+
+const resetMatch = (room) => {
+    // Remove Offline players before resetting
+    room.players = room.players.filter(p => !p.isOffline);
+
+    room.players.forEach(p => {
+        p.role = null;
+        p.words = [];
+        p.vote = null;
+        p.isCaught = false;
+        p.caughtBy = null;
+        p.isReady = false; // Force re-ready only after FULL MATCH
+        p.score = 0; // Reset Scores for new match
+        p.scoreBreakdown = [];
+        p.hasSkipped = false;
+    });
+    room.state.turnOrder = null;
+    room.state.turnIndex = 0;
+    room.state.lap = 0;
+    room.state.currentRound = 0;
+    room.state.winnerAwardSent = false;
+    room.state.lastResults = null;
+    room.state.runoff = null;
+    room.state.impostorGuess = null;
+    room.state.votePasses = [];
+    room.state.starting = false; // A start still preparing its match is dropped
+    clearMatchRounds(room);
+
+    // People who joined mid-match as spectators get their seat now
+    room.spectators.filter(s => s.wantsToPlay).forEach(s => promoteSpectator(room, s.id));
+
+    broadcastState(room);
+    broadcastPlayerList(room);
+    broadcastSpectatorList(room);
+    broadcastPublicRooms();
+};
+
+// The match material (art for every round) is prepared before the first
+// round; room.state.starting keeps anything from starting it twice meanwhile
+const startGame = async (room) => {
+    if (room.state.starting) return;
+    room.state.starting = true;
+    room.state.matchId = `${room.code}-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    room.state.currentRound = 0;
+    room.state.totalRounds = room.settings.rounds;
+    room.state.winnerAwardSent = false;
+    room.state.summarySent = false;
+    room.state.drawRounds = 0;
+    room.players.forEach(p => p.matchStats = emptyStats());
+
+    clearMatchRounds(room);
+    await gameModeOf(room).prepareMatch(room);
+    // Closed, or sent back to the lobby (admin end_match), in the meantime
+    if (rooms[room.code] !== room || !room.state.starting) return;
+    room.state.starting = false;
+    nextRound(room);
+};
+
+// For timers and handlers, which don't wait for the match to start: a start
+// that fails is logged and the room goes back to the lobby
+const launchGame = (room) => {
+    startGame(room).catch(err => {
+        console.error(`[StartGame] Room ${room.code} could not start:`, err);
+        if (rooms[room.code] !== room) return;
+        setPhase(room, PHASE.LOBBY, 0);
+        resetMatch(room);
+    });
+};
+
+// --- Game Modes ---
+// What differs between modes: material prepared at match start, what each
+// round hands out (round_init), the impostor's last-chance guess and what the
+// results reveal. Writing, discussion and voting are the same for all of them.
+
+// Art: a pair of paintings per round, pre-fetched for the whole match
+const prepareArtMatch = async (room) => {
+    console.log(`[StartGame] Pre-fetching art for ${room.state.totalRounds} rounds...`);
+
+    // Sequentially is safer for Met API rate limits.
+    // Every image is downloaded and checked here; broken pairs are replaced.
+    const used = new Set();
+    for (let i = 0; i < room.state.totalRounds; i++) {
+        let cached = null;
+        for (let attempt = 1; attempt <= ART_FETCH_ATTEMPTS && !cached; attempt++) {
+            const randomTheme = ART_THEMES[Math.floor(Math.random() * ART_THEMES.length)];
+            try {
+                const pair = await artProviders.fetchPair({ theme: randomTheme, preferred: room.settings.artProvider, used });
+                used.add(artProviders.pairKey(pair));
+                cached = await cacheArtPair(pair);
+            } catch (err) {
+                console.error(`[StartGame] Round ${i + 1} art rejected (attempt ${attempt}):`, err.message);
+            }
+        }
+
+        try {
+            if (!cached) cached = cacheArtPairSync(artProviders.fallbackPair(used));
+            room.state.matchArtCache.push(cached);
+            console.log(`[StartGame] Cached round ${i + 1}/${room.state.totalRounds} (${cached.provider})`);
+        } catch (err) {
+            console.error(`[StartGame] Cached round ${i + 1} failed`, err.message);
+        }
+    }
+
+    console.log(`[StartGame] Successfully cached ${room.state.matchArtCache.length} art pairs.`);
+};
+
+const setupArtRound = (room) => {
+    let artData = room.state.matchArtCache ? room.state.matchArtCache[room.state.currentRound - 1] : null;
+
+    // Fallback if cache missed: offline pack, no network involved
+    if (!artData) {
+        console.error("Art Cache Miss! Using offline art pack...");
+        artData = cacheArtPairSync(artProviders.fallbackPair());
+        if (Array.isArray(room.state.matchArtCache)) room.state.matchArtCache[room.state.currentRound - 1] = artData;
+    }
+
+    room.state.artPair = artData;
+
+    console.log(`[Round ${room.state.currentRound}] Using Cached Art (${artData.provider || 'unknown'}):`);
+    console.log(`Theme: ${artData.theme}`);
+    console.log(`Innocent URL: ${room.state.artPair.innocent}`);
+    console.log(`Impostor URL: ${room.state.artPair.impostor}`);
+};
+
+// Words: a category and two of its words per round, from the room's word pack
+const resolveWordPack = (room) => {
+    if (room.settings.wordPack !== 'auto') return room.settings.wordPack;
+    const ownerLocale = localeOf(room.ownerId);
+    return [ownerLocale, i18n.defaultLocale].find(name => wordPacks.names.includes(name)) || wordPacks.names[0];
+};
+
+const prepareWordMatch = async (room) => {
+    const pack = resolveWordPack(room);
+    room.state.matchWords = wordPacks.pickRounds(pack, room.state.totalRounds);
+    console.log(`[StartGame] Picked ${room.state.matchWords.length} word rounds from pack "${pack}".`);
+};
+
+const setupWordRound = (room) => {
+    let round = room.state.matchWords ? room.state.matchWords[room.state.currentRound - 1] : null;
+    if (!round) {
+        console.error('Word Cache Miss! Picking a new word...');
+        round = wordPacks.pickRounds(resolveWordPack(room), 1)[0];
+    }
+    room.state.wordPair = round;
+    console.log(`[Round ${room.state.currentRound}] Category: ${round.category}, words: ${round.innocent} / ${round.impostor}`);
+};
+
+// Caught impostors pick the innocents' word among others of the category
+const buildWordGuessOptions = (room) => {
+    const round = room.state.wordPair;
+    const shuffle = (array) => array.sort(() => Math.random() - 0.5);
+    const decoys = shuffle([...round.decoys]).slice(0, IMPOSTOR_GUESS_OPTIONS - 1).map(label => ({ label }));
+    const choices = shuffle([{ label: round.innocent, isAnswer: true }, ...decoys]);
+    const options = choices.map(({ isAnswer, ...opt }, i) => ({ id: `opt${i + 1}`, ...opt }));
+    const answerId = options[choices.findIndex(opt => opt.isAnswer)].id;
+    return { kind: 'word', options, answerId };
+};
+
+const GAME_MODES = {
+    art: {
+        prepareMatch: prepareArtMatch,
+        setupRound: setupArtRound,
+        hasRound: (room) => !!room.state.artPair,
+        // round_init fields for one player
+        roundInfo: (room, player) => ({
+            imageUrl: player.role === 'impostor' ? room.state.artPair.impostor : room.state.artPair.innocent
+        }),
+        // What the word rules keep this writer from giving away (the impostor's
+        // painting has the same theme, so the theme is no secret to them)
+        secret: (room) => room.state.artPair?.theme || null,
+        guessOptions: buildArtGuessOptions,
+        reveal: (room) => ({
+            images: room.state.artPair ? {
+                innocent: room.state.artPair.innocent,
+                impostor: room.state.artPair.impostor,
+                theme: room.state.artPair.theme
+            } : null
+        }),
+        clear: releaseMatchImages
+    },
+    words: {
+        prepareMatch: prepareWordMatch,
+        setupRound: setupWordRound,
+        hasRound: (room) => !!room.state.wordPair,
+        roundInfo: (room, player) => {
+            const round = room.state.wordPair;
+            const isImpostor = player.role === 'impostor';
+            return {
+                category: round.category,
+                // With impostorClue 'category' the impostor only learns the category
+                word: isImpostor ? (room.settings.impostorClue === 'word' ? round.impostor : null) : round.innocent
+            };
+        },
+        // Never checked for impostors: a rejection would confirm the innocents' word
+        secret: (room, player) => player.role === 'impostor' ? null : room.state.wordPair?.innocent || null,
+        guessOptions: buildWordGuessOptions,
+        reveal: (room) => ({
+            images: null,
+            words: room.state.wordPair ? {
+                category: room.state.wordPair.category,
+                innocent: room.state.wordPair.innocent,
+                impostor: room.state.wordPair.impostor
+            } : null
+        }),
+        clear: (room) => {
+            room.state.matchWords = [];
+            room.state.wordPair = null;
+        }
+    }
+};
+
+const gameModeOf = (room) => GAME_MODES[room.settings.gameMode] || GAME_MODES.art;
+
+// Drops the round material of every mode (the mode may change between matches)
+const clearMatchRounds = (room) => Object.values(GAME_MODES).forEach(mode => mode.clear(room));
+
+const sendRoundInit = (room, player) => {
+    io.to(player.id).emit('round_init', views.roundInit(room, player));
+};
+
+// --- Player Actions ---
+// Game moves shared by socket handlers and bots. Each returns null when the
+// move was taken, or the error for the reply: { code, params, extra }.
+const rejected = (code, params = {}, extra = {}) => ({ code, params, extra });
+
+// Nothing moves while the owner has the game paused, bots included
+const rejectIfPaused = (room) => room.state.paused ? rejected('game_paused') : null;
+
+const submitWord = (room, player, word) => {
+    const paused = rejectIfPaused(room);
+    if (paused) return paused;
+    // Validation: Must be WRITING phase + My Turn
+    if (room.state.phase !== PHASE.WRITING) return rejected('wrong_phase', { reason: 'writing' });
+
+    const currentWriterId = room.state.turnOrder[room.state.turnIndex];
+    if (player.id !== currentWriterId) return rejected('not_your_turn');
+
+    // A rejected word doesn't end the turn: the writer can try again until the timer runs out
+    const checked = wordRules.check(word, room.settings.wordRules, {
+        theme: gameModeOf(room).secret(room, player),
+        used: room.players.flatMap(p => p.words.map(w => w.word))
+    });
+    if (checked.error) {
+        return rejected('invalid_word', { reason: checked.error, ...checked.params }, { endsAt: room.state.endsAt || null });
+    }
+
+    player.words.push({ lap: room.state.lap, word: checked.word });
+    advanceTurn(room);
+    return null;
+};
+
+const castVote = (room, player, targetId) => {
+    const paused = rejectIfPaused(room);
+    if (paused) return paused;
+    if (room.state.phase !== PHASE.VOTING) return rejected('wrong_phase', { reason: 'voting' });
+    if (!player.role) return rejected('cannot_vote'); // Late joiners can't vote
+    if (player.isCaught) return rejected('cannot_vote', { reason: 'caught' });
+    if (targetId === player.id) return rejected('invalid_vote_target', { reason: 'self' });
+    if (!isValidVoteTarget(room, targetId)) return rejected('invalid_vote_target');
+
+    player.vote = targetId;
+    broadcastPlayerList(room); // Others only see that a vote was cast
+    // If all ACTIVE and ONLINE players voted
+    const activeOnlinePlayers = getEligibleVoters(room);
+
+    // Also check if we have enough votes (e.g. if everyone left, force end?)
+    // For now, just check if all online active players voted
+    if (activeOnlinePlayers.length > 0 && activeOnlinePlayers.every(p => p.vote)) {
+        calculateResults(room);
+    } else if (activeOnlinePlayers.length === 0) {
+        // Everyone offline? End phase immediately
+        calculateResults(room);
+    }
+    return null;
+};
+
+const submitImpostorGuess = (room, player, optionId) => {
+    const paused = rejectIfPaused(room);
+    if (paused) return paused;
+    const guess = room.state.impostorGuess;
+    if (room.state.phase !== PHASE.IMPOSTOR_GUESS || !guess || guess.resolved) {
+        return rejected('wrong_phase', { reason: 'guessing' });
+    }
+
+    if (!player.isCaught || guess.guesses[player.id]) return rejected('cannot_guess');
+    if (!guess.options.some(opt => opt.id === optionId)) return rejected('invalid_option');
+
+    guess.guesses[player.id] = optionId;
+
+    const pending = room.players.filter(p => p.isCaught && !p.isOffline && !guess.guesses[p.id]);
+    if (pending.length === 0) resolveImpostorGuess(room);
+    return null;
+};
+
+// Skips are silently ignored outside their phase, but not while paused
+const skipDiscussion = (room, player) => {
+    const paused = rejectIfPaused(room);
+    if (paused) return paused;
+    if (room.state.phase !== PHASE.DISCUSSING || player.hasSkippedDiscussion) return null;
+    player.hasSkippedDiscussion = true;
+
+    // Check if ALL ACTIVE and ONLINE players skipped
+    const activeOnlinePlayers = room.players.filter(p => p.role && !p.isOffline);
+
+    // Broadcast the change so clients can update their counters
+    broadcastPlayerList(room);
+
+    if (activeOnlinePlayers.length > 0 && activeOnlinePlayers.every(p => p.hasSkippedDiscussion)) {
+        setPhase(room, PHASE.VOTING, room.settings.timers.voting);
+    } else if (activeOnlinePlayers.length === 0) {
+        // Failsafe if everyone left/offline
+        setPhase(room, PHASE.VOTING, room.settings.timers.voting);
+    }
+    return null;
+};
+
+const skipMatchEnd = (room, player) => {
+    const paused = rejectIfPaused(room);
+    if (paused) return paused;
+    if (room.state.phase !== PHASE.MATCH_END || player.hasSkipped) return null;
+    player.hasSkipped = true;
+
+    // Check if ALL ACTIVE and ONLINE players skipped
+    const activeOnlinePlayers = room.players.filter(p => p.role && !p.isOffline);
+
+    broadcastPlayerList(room);
+
+    if (activeOnlinePlayers.length > 0 && activeOnlinePlayers.every(p => p.hasSkipped)) {
+        setPhase(room, PHASE.LOBBY, 0);
+        resetMatch(room);
+    } else if (activeOnlinePlayers.length === 0) {
+        // Failsafe
+        setPhase(room, PHASE.LOBBY, 0);
+        resetMatch(room);
+    }
+    return null;
+};
+
+const setReady = (room, player, isReady) => {
+    if (room.state.phase !== PHASE.LOBBY || room.state.starting) return rejected('wrong_phase', { reason: 'started' });
+
+    player.isReady = isReady;
+    broadcastPlayerList(room);
+    checkReadyCountdown(room);
+    return null;
+};
+
+// Lobby countdown: (re)started once everybody is ready, cancelled when that breaks
+const checkReadyCountdown = (room) => {
+    if (room.state.starting) return; // Countdown is over, the match is being prepared
+    const allReady = room.players.length >= MIN_PLAYERS && room.players.every(p => p.isReady);
+
+    if (allReady) {
+        // Start countdown
+        console.log(`All players ready in room ${room.code}. Starting countdown...`);
+        setPhase(room, PHASE.LOBBY, room.settings.timers.readyCountdown);
+    } else if (room.state.endsAt) {
+        // Cancel countdown if it was running
+        console.log(`Readiness broken in room ${room.code}. Cancelling countdown.`);
+        setPhase(room, PHASE.LOBBY, 0);
+    }
+};
+
+// --- Bots ---
+// Server-side players without a socket. After every phase change and turn
+// each bot gets one look at the room, a moment later, and makes the move a
+// player in its seat would make (lib/bots.js decides which).
+
+const addBot = (room) => {
+    const bot = {
+        id: `bot-${crypto.randomBytes(4).toString('hex')}`,
+        username: botBrain.pickName([...room.players, ...room.spectators].map(p => p.username)),
+        score: 0,
+        role: null,
+        words: [],
+        vote: null,
+        isReady: true,
+        isBot: true
+    };
+    room.players.push(bot);
+    return bot;
+};
+
+const scheduleBot = (room, bot) => {
+    const [min, max] = room.isSimulation ? SIMULATION_THINK_MS : BOT_THINK_MS;
+    scheduler.schedule(botJobKey(room, bot), Date.now() + min + Math.random() * (max - min), () => {
+        if (rooms[room.code] === room && room.players.includes(bot)) runBot(room, bot);
+    });
+};
+
+const scheduleBots = (room) => room.players.filter(p => p.isBot).forEach(bot => scheduleBot(room, bot));
+
+// What the bot knows about the round: the art theme, or the category's other words
+const botHint = (room) => room.settings.gameMode === 'words'
+    ? { pool: room.state.wordPair?.decoys || [] }
+    : { theme: room.state.artPair?.theme || null };
+
+const runBot = (room, bot) => {
+    if (room.state.paused) return scheduleBot(room, bot); // Moves are rejected while paused, try again later
+
+    switch (room.state.phase) {
+        case PHASE.LOBBY:
+            if (!bot.isReady) setReady(room, bot, true);
+            break;
+        case PHASE.WRITING:
+            if (room.state.turnOrder[room.state.turnIndex] === bot.id) botWrite(room, bot);
+            break;
+        case PHASE.DISCUSSING:
+            skipDiscussion(room, bot);
+            break;
+        case PHASE.VOTING:
+            if (!bot.vote && getEligibleVoters(room).includes(bot)) botVote(room, bot);
+            break;
+        case PHASE.IMPOSTOR_GUESS:
+            if (bot.isCaught) submitImpostorGuess(room, bot, botBrain.pickGuess(room.state.impostorGuess?.options || []));
+            break;
+        case PHASE.MATCH_END:
+            skipMatchEnd(room, bot);
+            break;
+    }
+};
+
+// Tries words until the room's word rules accept one; passes if none is left
+const botWrite = (room, bot) => {
+    const candidates = botBrain.wordCandidates({ role: bot.role, ...botHint(room) });
+    if (candidates.some(word => !submitWord(room, bot, word))) return;
+
+    console.log(`[Bots] ${bot.username} has no word left in room ${room.code}, passing the turn`);
+    advanceTurn(room);
+};
+
+const botVote = (room, bot) => {
+    const candidates = room.players
+        .filter(p => p.id !== bot.id && isValidVoteTarget(room, p.id))
+        .map(p => ({ id: p.id, words: p.words.map(w => w.word) }));
+    const teammates = bot.role === 'impostor' ? room.players.filter(p => p.role === 'impostor').map(p => p.id) : [];
+    const targetId = botBrain.pickVote({ role: bot.role, candidates, expected: botBrain.expectedKeys(botHint(room)), teammates })
+        || (isValidVoteTarget(room, SKIP_VOTE) ? SKIP_VOTE : null);
+    if (targetId) castVote(room, bot, targetId);
+};
+
+// --- Simulation ---
+// A whole match played by bots alone, in process and without sockets. The
+// room is real (same phases, rules and scoring) but hidden from the public
+// list, never persisted and closed as soon as the last round's results are in.
+const SIMULATION_THINK_MS = [5, 20];
+const SIMULATION_RESULTS_SECONDS = 0.05; // The only phase bots can't skip
+
+/**
+ * options.bots: number of bot players
+ * options.settings: room settings, as for create_room
+ * Resolves with { summary, rounds }: the match summary Vecbot would get and
+ * every round's results.
+ */
+const simulateMatch = ({ bots = 4, settings: requested = {} } = {}) => {
+    const { settings, errors } = validateRoomSettings(requested, { artProviders: artProviders.names, wordPacks: wordPacks.names });
+    if (!settings) return Promise.reject(new Error(`Invalid settings: ${errors.map(e => e.field).join(', ')}`));
+    if (bots < MIN_PLAYERS || bots > settings.maxPlayers) {
+        return Promise.reject(new Error(`Bot count must be between ${MIN_PLAYERS} and ${settings.maxPlayers}`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const code = generateRoomCode();
+        const room = {
+            code,
+            players: [],
+            spectators: [],
+            bans: [],
+            ownerId: null,
+            isPublic: false,
+            isSimulation: true,
+            simulation: { resolve, rounds: [] },
+            settings: { ...settings, timers: { ...settings.timers, results: SIMULATION_RESULTS_SECONDS } },
+            lastActivityAt: Date.now(),
+            state: { phase: PHASE.LOBBY, endsAt: null, paused: false, turnIndex: 0, turnOrder: [], lap: 0, winnerAwardSent: false }
+        };
+        rooms[code] = room;
+        for (let i = 0; i < bots; i++) addBot(room);
+        room.ownerId = room.players[0].id;
+
+        console.log(`[Simulation] Room ${code}: ${bots} bots, ${settings.rounds} round(s), ${settings.gameMode} mode`);
+        startGame(room).catch(err => {
+            closeRoom(room, 'simulation_failed');
+            reject(err);
+        });
+    });
+};
+
+const finishSimulation = (room) => {
+    const summary = buildMatchSummary(room, VECBOT_POINTS_RULE, { countBots: true });
+    room.simulation.resolve({ summary, rounds: room.simulation.rounds });
+    closeRoom(room, 'simulation_end');
+};
+
+// --- Admin ---
+const requireRoom = (code) => {
+    const room = rooms[String(code || '').toUpperCase()];
+    if (!room) throw new Error('room_not_found');
+    return room;
+};
+
+const adminActions = {
+    listOutbox: ({ status } = {}) => ({ entries: vecbotOutbox.list({ status }) }),
+    retryDelivery: ({ key }) => {
+        if (!vecbotOutbox.retry(key)) throw new Error('delivery_not_found');
+    },
+    listRooms: () => ({ rooms: Object.values(rooms).map(views.adminRoom) }),
+    inspectRoom: ({ room: code }) => ({ room: views.adminRoom(requireRoom(code)) }),
+    endMatch: ({ room: code }) => {
+        const room = requireRoom(code);
+        scheduler.cancel(room.code);
+        emitPerRecipient(room, 'system_message', (id) => systemMessage(id, 'match_ended_by_admin'));
+        setPhase(room, PHASE.LOBBY, 0);
+        resetMatch(room);
+    },
+    skipPhase: ({ room: code }) => {
+        const room = requireRoom(code);
+        console.log(`[ADMIN] Skipping phase in room ${room.code} (Current: ${room.state.phase})`);
+
+        // Clear existing timer to prevent double-firing
+        scheduler.cancel(room.code);
+
+        if (room.state.starting) throw new Error('match_starting');
+        if (room.state.phase === PHASE.LOBBY) {
+            launchGame(room);
+        } else {
+            handlePhaseTimeout(room);
+        }
+        return { phase: room.state.phase };
+    },
+    closeRoom: ({ room: code, reason }) => {
+        closeRoom(requireRoom(code), reason || 'admin');
+    },
+    kickPlayer: ({ room: code, playerId }) => {
+        const removed = removeFromRoom(requireRoom(code), playerId);
+        if (!removed) throw new Error('player_not_found');
+        return { username: removed.username };
+    },
+    // Bans by username and by the address the player connected from
+    banPlayer: ({ room: code, playerId, username }) => {
+        const room = requireRoom(code);
+        const target = [...room.players, ...room.spectators].find(p => p.id === playerId
+            || (username && p.username.toLowerCase() === String(username).trim().toLowerCase()));
+        if (!target && !username) throw new Error('player_not_found');
+
+        const ban = {
+            username: (target ? target.username : String(username)).trim().toLowerCase(),
+            ip: target?.ip || null
+        };
+        room.bans.push(ban);
+        if (target) removeFromRoom(room, target.id);
+        return { ban };
+    },
+    broadcast: ({ room: code, message }) => {
+        const text = String(message || '').trim();
+        if (!text) throw new Error('empty_message');
+        // Free text from the admin, sent as typed
+        const notice = { code: 'admin_broadcast', params: {}, message: text };
+        if (code) io.to(requireRoom(code).code).emit('system_message', notice);
+        else io.emit('system_message', notice);
+    }
+};
+
+const adminApi = createAdminApi({
+    app,
+    io,
+    secret: ADMIN_SECRET,
+    actions: adminActions,
+    audit: createAuditLog({ file: process.env.ADMIN_AUDIT_LOG || path.join(__dirname, 'logs', 'admin-audit.log') })
+});
+
+// --- Socket Handling ---
+io.on('connection', (socket) => {
+    console.log('User connected:', socket.id);
+
+    // Helper to find player's room
+    const getMyRoom = () => {
+        // Inefficient lookup but works for small scale
+        const code = Object.keys(rooms).find(c => rooms[c].players.find(p => p.id === socket.id));
+        return code ? rooms[code] : null;
+    };
+
+    const getMySpectatedRoom = () => Object.values(rooms).find(r => r.spectators.some(s => s.id === socket.id)) || null;
+
+    // A socket plays or watches in one room at a time; null when it may enter `room`
+    const alreadyInRoom = (room) => {
+        const current = getMyRoom() || getMySpectatedRoom();
+        if (!current) return null;
+        return current === room ? { reason: 'same_room' } : {};
+    };
+
+    const clientIp = getClientIp(socket);
+    const { auth = {}, query = {}, headers } = socket.handshake;
+    socket.data.locale = i18n.resolveLocale(auth.locale || query.locale || headers['accept-language']);
+
+    // Any event from a room's player counts as activity for the idle reaper
+    socket.use((packet, next) => {
+        const room = getMyRoom();
+        if (room) touchRoom(room);
+        next();
+    });
+
+    // Every client event goes through here: rate limits, payload schema
+    // (lib/socketEvents.js) and room membership. Handlers get the validated
+    // payload plus { room, sender, reply }; sender is the player or spectator entry.
+    const on = (event, handler) => {
+        socket.on(event, (payload, ack) => {
+            const reply = createReply(socket, typeof ack === 'function' ? ack : null,
+                (code, params) => errorMessage(socket.data.locale, code, params));
+            if (!socketLimiter.hit(socket.id) || !ipLimiter.hit(clientIp)) return reply.error('rate_limited');
+
+            const { value, error } = validateEvent(event, payload);
+            if (error) {
+                return reply.error('invalid_payload', { field: error.field, rule: error.rule, ...error.params }, { field: error.field });
+            }
+            // A locale sent with create/join/resume applies from this event on
+            if (value.locale) socket.data.locale = i18n.resolveLocale(value.locale, socket.data.locale);
+
+            const context = { room: null, sender: null, reply };
+            const { access } = EVENT_SCHEMAS[event];
+            if (access) {
+                const room = value.room ? rooms[value.room] : getMyRoom() || getMySpectatedRoom();
+                if (value.room && !room) return reply.error('room_not_found');
+                const player = room?.players.find(p => p.id === socket.id);
+                const sender = access === 'member' ? player || room?.spectators.find(s => s.id === socket.id) : player;
+                if (!sender) return reply.error('not_in_room');
+                context.room = room;
+                context.sender = sender;
+            }
+
+            const result = handler(value, context);
+            if (!(result instanceof Promise)) return reply.done();
+            // Async handlers (room passwords) reply once they have finished
+            result.then(() => reply.done(), (err) => {
+                console.error(`[Socket] ${event} failed:`, err);
+                reply.error('internal_error');
+            });
+        });
+    };
+
+    // Every settings error is listed; the first one is the reply's own message
+    const rejectSettings = (reply, errors) => {
+        const [first] = errors;
+        return reply.error('invalid_settings', { field: first.field, rule: first.rule, ...first.params },
+            { errors: settingsErrors(socket.data.locale, errors) });
+    };
+
+    on('create_room', async ({ username, isPublic, password, settings: requested, locale, ...legacy }, { reply }) => {
+        if (shuttingDown) return reply.error('server_restarting');
+        if (getMyRoom() || getMySpectatedRoom()) return reply.error('already_in_room');
+
+        // Top-level rounds/impostorCount/... are still accepted from older clients
+        const { settings, errors } = validateRoomSettings({ ...legacy, ...requested }, { artProviders: artProviders.names, wordPacks: wordPacks.names });
+        if (!settings) return rejectSettings(reply, errors);
+
+        const passwordHash = password ? await roomAccess.hashPassword(password) : null;
+        // Anything could have happened while the password was hashed
+        if (!socket.connected) return;
+        if (shuttingDown) return reply.error('server_restarting');
+        if (getMyRoom() || getMySpectatedRoom()) return reply.error('already_in_room');
+
+        const code = generateRoomCode();
+        rooms[code] = {
+            code,
+            players: [],
+            spectators: [],
+            bans: [],
+            ownerId: socket.id,
+            isPublic: isPublic,
+            passwordHash,
+            accessKey: roomAccess.newAccessKey(),
+            settings,
+            lastActivityAt: Date.now(),
+            state: { phase: PHASE.LOBBY, endsAt: null, paused: false, turnIndex: 0, turnOrder: [], lap: 0, winnerAwardSent: false }
+        };
+
+        socket.join(code);
+        const player = { id: socket.id, username, score: 0, role: null, words: [], vote: null, isReady: false, isOwner: true, sessionToken: generateSessionToken(), ip: getClientIp(socket) };
+        rooms[code].players.push(player);
+
+        reply.ok({ room: code });
+        socket.emit('room_joined', views.roomJoined(rooms[code], socket.id, { sessionToken: player.sessionToken }));
+        broadcastPlayerList(rooms[code]);
+        broadcastPublicRooms();
+        console.log(`Room created: ${code} by ${username}`);
+    });
+
+    on('join_room', async ({ username, room: requestedCode, password, invite, join_as_spectator: joinAsSpectator, asSpectator: legacySpectator }, { reply }) => {
+        const asSpectator = joinAsSpectator || legacySpectator;
+        const code = requestedCode || (invite && roomAccess.inviteRoom(invite));
+        if (!code) return reply.error('invalid_payload', { field: 'room', rule: 'required' }, { field: 'room' });
+
+        const room = rooms[code];
+        if (room) {
+            let inRoom = alreadyInRoom(room);
+            if (inRoom) {
+                return reply.error('already_in_room', inRoom);
+            }
+            if (isBanned(room, username, clientIp)) {
+                return reply.error('banned');
+            }
+            // Spectators too: watching shows the whole game
+            const denied = await checkRoomAccess(room, { password, invite, ip: clientIp });
+            if (denied) return reply.error(denied);
+            // The room may have closed, or this socket left or joined, while the password was checked
+            if (!socket.connected) return;
+            if (rooms[code] !== room) return reply.error('room_not_found');
+            inRoom = alreadyInRoom(room);
+            if (inRoom) return reply.error('already_in_room', inRoom);
+
+            const isFull = room.players.length >= room.settings.maxPlayers;
+            if (isFull && !asSpectator) {
+                return reply.error('room_full', { maxPlayers: room.settings.maxPlayers }, { canSpectate: room.spectators.length < MAX_SPECTATORS });
+            }
+
+            // Check for unique username
+            // Case-insensitive check to be safe: 'Ahmet' vs 'ahmet'
+            const isTaken = [...room.players, ...room.spectators].some(p => p.username.toLowerCase() === username.toLowerCase());
+            if (isTaken) {
+                return reply.error('username_taken');
+            }
+
+            // Explicit spectators, and anyone arriving mid-match, watch instead of playing
+            if (asSpectator || room.state.phase !== PHASE.LOBBY) {
+                if (room.spectators.length >= MAX_SPECTATORS) {
+                    return reply.error('spectators_full');
+                }
+                addSpectator(room, socket, username, { wantsToPlay: !asSpectator });
+
+                socket.emit('room_joined', views.roomJoined(room, socket.id, { isSpectator: true }));
+                broadcastSpectatorList(room);
+                broadcastPublicRooms();
+                sendRoomSnapshot(room, socket.id);
+                sendChatHistory(room, socket.id, { isSpectator: true });
+                console.log(`${username} is spectating ${code}`);
+                return;
+            }
+
+            socket.join(code);
+            const player = { id: socket.id, username, score: 0, role: null, words: [], vote: null, sessionToken: generateSessionToken(), ip: getClientIp(socket) };
+            room.players.push(player);
+
+            socket.emit('room_joined', views.roomJoined(room, socket.id, { sessionToken: player.sessionToken }));
+            broadcastPlayerList(room);
+            broadcastPublicRooms();
+            broadcastState(room); // Sync game state to new player
+            broadcastSpectatorList(room);
+            sendRoomSnapshot(room, socket.id);
+            sendChatHistory(room, socket.id);
+            console.log(`${username} joined ${code}`);
+        } else {
+            reply.error('room_not_found');
+        }
+    });
+
+    on('resume_session', ({ room: code, token }, { reply }) => {
+        const room = rooms[code];
+        const player = room ? room.players.find(p => p.sessionToken === token) : null;
+        if (!player) {
+            return reply.error('session_invalid', {}, {}, 'session_invalid');
+        }
+        // Resuming a seat elsewhere would leave this socket in two rooms
+        const current = getMyRoom() || getMySpectatedRoom();
+        if (current && current !== room) return reply.error('already_in_room');
+
+        const oldId = player.id;
+        if (oldId !== socket.id) {
+            // Detach a stale socket that may still be connected (e.g. old tab)
+            io.sockets.sockets.get(oldId)?.leave(room.code);
+            rebindPlayer(room, oldId, socket.id);
+        }
+        player.isOffline = false;
+        socket.join(room.code);
+
+        socket.emit('room_joined', views.roomJoined(room, socket.id, { sessionToken: player.sessionToken, resumed: true }));
+
+        // Re-send the private round info (role + image or word) if a round is running
+        if (player.role && room.state.phase !== PHASE.LOBBY && gameModeOf(room).hasRound(room)) sendRoundInit(room, player);
+        if (room.state.phase === PHASE.IMPOSTOR_GUESS) sendImpostorGuessOptions(room, player);
+
+        broadcastPlayerList(room);
+        broadcastState(room);
+        sendRoomSnapshot(room, socket.id);
+        sendChatHistory(room, socket.id);
+        broadcastPublicRooms();
+        console.log(`${player.username} resumed session in ${room.code} (${oldId} -> ${socket.id})`);
+    });
+
+    on('request_snapshot', () => {
+        const room = getMyRoom() || getMySpectatedRoom();
+        if (room) sendRoomSnapshot(room, socket.id);
+    });
+
+    on('get_public_rooms', () => {
+        socket.emit('public_rooms_update', getPublicRooms(socket.data.locale));
+    });
+
+    // Switch languages without rejoining; the locale itself is stored by on()
+    on('set_locale', (payload, { reply }) => {
+        reply.ok({ locale: socket.data.locale });
+    });
+
+    on('get_art_providers', () => {
+        socket.emit('art_providers', { providers: ['auto', ...artProviders.names] });
+    });
+
+    on('get_word_packs', () => {
+        socket.emit('word_packs', { packs: wordPacks.list() });
+    });
+
+    on('update_settings', ({ settings: requested }, { room, reply }) => {
+        // Only owner, and only while in the lobby
+        if (room.ownerId !== socket.id) return reply.error('not_owner');
+        if (room.state.phase !== PHASE.LOBBY) {
+            return reply.error('wrong_phase', { reason: 'lobby_only' });
+        }
+        if (room.state.starting) return reply.error('wrong_phase', { reason: 'started' });
+
+        const { settings, errors } = validateRoomSettings(requested, { base: room.settings, artProviders: artProviders.names, wordPacks: wordPacks.names });
+        if (!settings) return rejectSettings(reply, errors);
+        if (settings.maxPlayers < room.players.length) {
+            return reply.error('too_many_players', { playerCount: room.players.length });
+        }
+
+        room.settings = settings;
+        io.to(room.code).emit('room_settings_update', room.settings);
+        persistRoom(room);
+        broadcastPublicRooms();
+        console.log(`Room ${room.code} settings updated`, room.settings);
+    });
+
+    on('start_game', (payload, { room, reply }) => {
+        if (room.ownerId !== socket.id) return reply.error('not_owner');
+        if (room.state.phase !== PHASE.LOBBY || room.state.starting) return reply.error('wrong_phase', { reason: 'started' });
+        if (room.players.length < MIN_PLAYERS) return reply.error('not_enough_players', { min: MIN_PLAYERS });
+        launchGame(room);
+    });
+
+    on('promote_spectator', ({ targetId }, { room, reply }) => {
+        // Only owner, only in the lobby
+        if (room.ownerId !== socket.id) return reply.error('not_owner');
+        if (room.state.phase !== PHASE.LOBBY) {
+            return reply.error('wrong_phase', { reason: 'promote' });
+        }
+
+        const player = promoteSpectator(room, targetId);
+        if (!player) return reply.error('promote_failed');
+
+        broadcastPlayerList(room);
+        broadcastSpectatorList(room);
+        broadcastPublicRooms();
+        console.log(`${player.username} promoted to player in ${room.code}`);
+    });
+
+    on('kick_player', ({ targetId }, { room, reply }) => {
+        // Only owner can kick
+        if (room.ownerId !== socket.id) return reply.error('not_owner');
+        if (targetId === socket.id) return reply.error('invalid_target', { reason: 'kick' });
+
+        if (!removeFromRoom(room, targetId)) reply.error('player_not_found');
+    });
+
+    // Owner only: a signed invite that lets its holder in without the password
+    on('create_invite', ({ ttlSeconds = INVITE_TTL }, { room, reply }) => {
+        if (room.ownerId !== socket.id) return reply.error('not_owner');
+
+        const { token, expiresAt } = roomAccess.createInvite(room, ttlSeconds);
+        reply.ok({ room: room.code, invite: token, expiresAt });
+        console.log(`Invite created for ${room.code}, valid for ${ttlSeconds}s`);
+    });
+
+    // Owner only: a bot takes a free seat in the lobby
+    on('add_bot', (payload, { room, reply }) => {
+        if (room.ownerId !== socket.id) return reply.error('not_owner');
+        if (room.state.phase !== PHASE.LOBBY) return reply.error('wrong_phase', { reason: 'lobby_only' });
+        if (room.players.length >= room.settings.maxPlayers) {
+            return reply.error('room_full', { maxPlayers: room.settings.maxPlayers });
+        }
+
+        const bot = addBot(room);
+        reply.ok({ bot: { id: bot.id, username: bot.username } });
+        broadcastPlayerList(room);
+        broadcastPublicRooms();
+        checkReadyCountdown(room);
+        console.log(`${bot.username} added to ${room.code}`);
+    });
+
+    on('submit_word', ({ word }, { room, sender: player, reply }) => {
+        const error = submitWord(room, player, word);
+        if (error) reply.error(error.code, error.params, error.extra);
+    });
+
+    on('submit_vote', ({ targetId }, { room, sender: player, reply }) => {
+        const error = castVote(room, player, targetId);
+        if (error) reply.error(error.code, error.params, error.extra);
+    });
+
+    on('submit_impostor_guess', ({ optionId }, { room, sender: player, reply }) => {
+        const error = submitImpostorGuess(room, player, optionId);
+        if (error) reply.error(error.code, error.params, error.extra);
+    });
+
+    on('skip_discussion', (payload, { room, sender: player, reply }) => {
+        const error = skipDiscussion(room, player);
+        if (error) reply.error(error.code, error.params, error.extra);
+    });
+
+    // Owner only: freeze the phase timer and give the remaining time back later
+    on('pause_game', (payload, { room, reply }) => {
+        if (room.ownerId !== socket.id) return reply.error('not_owner');
+        if (room.state.phase === PHASE.LOBBY) {
+            return reply.error('wrong_phase', { reason: 'pause' });
+        }
+        if (!pauseRoom(room)) return reply.error('already_paused');
+
+        io.to(room.code).emit('game_paused', { by: room.players.find(p => p.id === socket.id)?.username });
+        broadcastState(room);
+        persistRoom(room);
+        console.log(`Room ${room.code} paused (${room.state.pausedRemaining} ms left)`);
+    });
+
+    on('resume_game', (payload, { room, reply }) => {
+        if (room.ownerId !== socket.id) return reply.error('not_owner');
+        if (!resumeRoom(room)) return reply.error('not_paused');
+
+        io.to(room.code).emit('game_resumed', { endsAt: room.state.endsAt });
+        broadcastState(room);
+        persistRoom(room);
+        console.log(`Room ${room.code} resumed`);
+    });
+
+    on('skip_match_end', (payload, { room, sender: player, reply }) => {
+        const error = skipMatchEnd(room, player);
+        if (error) reply.error(error.code, error.params, error.extra);
+    });
+
+    on('toggle_ready', (payload, { room, sender: player, reply }) => {
+        const error = setReady(room, player, !player.isReady);
+        if (error) reply.error(error.code, error.params, error.extra);
+    });
+
+    // Sender name and room come from the server, never from the payload
+    on('chat_message', ({ message, channel: requested }, { room, sender, reply }) => {
+        const isSpectator = !!sender.isSpectator;
+        const reject = (reason) => reply.error(reason, CHAT_ERROR_PARAMS[reason]);
+
+        if (sender.isMuted) return reject('muted');
+
+        // Spectators may be confined to their own channel
+        let channel = 'room';
+        if (requested === 'impostors') {
+            const inRound = room.state.phase !== PHASE.LOBBY && room.state.phase !== PHASE.MATCH_END;
+            if (!room.settings.impostorWhisper || !inRound || sender.role !== 'impostor') return reject('whisper_unavailable');
+            channel = 'impostors';
+        } else if (isSpectator && room.settings.spectatorChat === 'separate') {
+            channel = 'spectators';
+        }
+
+        // Phase rules apply to everything players can read
+        if (channel === 'room' && room.settings.chatBlockedPhases.includes(room.state.phase)) return reject('phase_blocked');
+        if (!chatLimiter.hit(socket.id)) return reject('rate_limited');
+
+        const prepared = chat.prepare(message);
+        if (prepared.error) return reject(prepared.error);
+
+        const entry = chat.record(room, { username: sender.username, message: prepared.text, isSpectator, channel });
+        if (channel === 'impostors') {
+            room.players.filter(p => p.role === 'impostor' && !p.isOffline).forEach(p => io.to(p.id).emit('chat_message', entry));
+        } else {
+            io.to(channel === 'spectators' ? spectatorChannel(room) : room.code).emit('chat_message', entry);
+            persistRoom(room);
+        }
+    });
+
+    // Owner only: mute or unmute a player or spectator in the room chat
+    on('mute_player', ({ targetId, muted }, { room, reply }) => {
+        if (room.ownerId !== socket.id) return reply.error('not_owner');
+        if (targetId === socket.id) return reply.error('invalid_target', { reason: 'mute' });
+
+        const target = room.players.find(p => p.id === targetId) || room.spectators.find(s => s.id === targetId);
+        if (!target) return reply.error('player_not_found');
+
+        target.isMuted = !!muted;
+        io.to(target.id).emit('chat_muted', { muted: target.isMuted });
+        if (target.isSpectator) broadcastSpectatorList(room);
+        else broadcastPlayerList(room);
+        console.log(`${target.username} ${target.isMuted ? 'muted' : 'unmuted'} in ${room.code}`);
+    });
+
+    // Legacy admin hook, now checked against ADMIN_SECRET and audited like the admin API
+    on('admin_skip_phase', ({ room: roomCode, password }, { reply }) => {
+        if (!adminApi.isAuthorized(password)) {
+            adminApi.denied(`socket:${clientIp}`, 'legacy', { room: roomCode });
+            return reply.error('unauthorized');
+        }
+        const result = adminApi.run('skipPhase', { room: roomCode }, `socket:${clientIp}`, 'legacy');
+        if (!result.ok) reply.error(result.error);
+    });
+
+    socket.on('disconnect', () => {
+        chatLimiter.forget(socket.id);
+        socketLimiter.forget(socket.id);
+
+        // Rooms are kept as they are (and persisted) while the server shuts down
+        if (shuttingDown) return;
+
+        const spectated = getMySpectatedRoom();
+        if (spectated) {
+            spectated.spectators = spectated.spectators.filter(s => s.id !== socket.id);
+            broadcastSpectatorList(spectated);
+            broadcastPublicRooms();
+            return;
+        }
+
+        const room = getMyRoom();
+        if (room) {
+            const player = room.players.find(p => p.id === socket.id);
+            const isLastHuman = !room.players.some(p => p.id !== socket.id && !p.isOffline && !p.isBot);
+
+            if (room.state.phase === PHASE.LOBBY && isLastHuman) {
+                // Last one out stays (offline, not ready), so a reconnect finds the room
+                player.isOffline = true;
+                player.isReady = false;
+                checkReadyCountdown(room);
+            } else if (room.state.phase === PHASE.LOBBY) {
+                // In Lobby: Remove completely
+                room.players = room.players.filter(p => p.id !== socket.id);
+
+                // Auto-Start Check with Countdown
+                checkReadyCountdown(room);
+            } else {
+                if (player) player.isOffline = true;
+
+                // If the player who just disconnected was the current writer, skip them immediately!
+                if (room.state.phase === PHASE.WRITING) {
+                    const currentWriterId = room.state.turnOrder?.[room.state.turnIndex];
+                    if (currentWriterId === socket.id) {
+                        console.log(`Current writer ${player?.username} disconnected. Skipping turn...`);
+                        scheduler.cancel(room.code);
+                        advanceTurn(room);
+                    }
+                }
+            }
+
+            // Nobody online any more: the room waits for a while before it closes
+            if (!hasOnlineHumans(room)) {
+                awaitReturningPlayers(room, 'empty');
+            } else {
+                // Owner transfer logic (if owner left/offline)
+                if (room.ownerId === socket.id) transferOwnership(room);
+
+                // Only broadcast to room if it still exists
+                broadcastPlayerList(room);
+            }
+            // Always update public lobby after changes
+            broadcastPublicRooms();
+        }
+    });
+});
+
+// --- Restore ---
+// Rooms come back from the store with every player offline; players return
+// through resume_session, since their session tokens are part of the snapshot.
+
+// The image index lives in memory, so restored rounds may need their images again
+const recacheRoomImages = async (room) => {
+    const pairs = [...(room.state.matchArtCache || []), room.state.artPair].filter(p => p && p.sources && p.imageIds);
+    for (const pair of pairs) {
+        const [innocentId, impostorId] = pair.imageIds;
+        try {
+            if (!imageCache.has(innocentId)) await imageCache.putUrl(pair.sources.innocent, pair.sources.files?.innocent, innocentId);
+            if (!imageCache.has(impostorId)) await imageCache.putUrl(pair.sources.impostor, pair.sources.files?.impostor, impostorId);
+        } catch (err) {
+            console.error(`[Restore] Could not re-cache images for room ${room.code}:`, err.message);
+        }
+    }
+};
+
+const restoreRoom = (room) => {
+    room.settings = withDefaultSettings(room.settings);
+    room.spectators = [];
+    // Snapshots from before writing laps kept a single word per player
+    room.players.forEach(p => {
+        if (!Array.isArray(p.words)) p.words = p.word ? [{ lap: 0, word: p.word }] : [];
+        delete p.word;
+    });
+    room.state.lap = room.state.lap || 0;
+    // Snapshots from before invites had no access key
+    room.accessKey = room.accessKey || roomAccess.newAccessKey();
+    room.players.forEach(p => p.isOffline = !p.isBot);
+
+    if (room.state.phase === PHASE.LOBBY) {
+        // A lobby countdown or a half-started match starts over once players are back
+        room.state.endsAt = null;
+        room.state.starting = false;
+        room.players.forEach(p => p.isReady = !!p.isBot);
+    } else if (room.state.paused && room.state.pausedRemaining !== null) {
+        startRoomTimer(room, room.state.pausedRemaining / 1000);
+    } else if (room.state.endsAt) {
+        // Resume from the stored deadline, leaving reconnecting clients some time
+        const remaining = Math.ceil((room.state.endsAt - Date.now()) / 1000);
+        startRoomTimer(room, Math.max(remaining, RESTORE_MIN_REMAINING));
+    }
+
+    rooms[room.code] = room;
+    touchRoom(room);
+    recacheRoomImages(room);
+    scheduleBots(room);
+
+    awaitReturningPlayers(room, 'not_resumed');
+};
+
+const restoreRooms = () => {
+    const stored = roomStore.loadAll();
+    stored.forEach(restoreRoom);
+    if (stored.length) console.log(`[Restore] Restored ${stored.length} room(s): ${stored.map(r => r.code).join(', ')}`);
+};
+
+// --- Idle Rooms ---
+const roomReaper = createRoomReaper({
+    getRooms: () => Object.values(rooms),
+    ttls: parseIdleTtls(process.env.ROOM_IDLE_TTL),
+    onExpire: (room, idleSeconds) => {
+        console.log(`[Reaper] Room ${room.code} idle for ${idleSeconds}s in ${room.state.phase}`);
+        closeRoom(room, 'idle');
+    }
+});
+
+// --- Graceful Shutdown ---
+// Render sends SIGTERM before a redeploy: warn every room, persist it with its
+// deadlines as they are, then close sockets and the HTTP server.
+const shutdown = (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`[Shutdown] ${signal} received, saving ${Object.keys(rooms).length} room(s)...`);
+
+    roomReaper.stop();
+    vecbotOutbox.stop();
+    Object.values(rooms).forEach(room => {
+        emitPerRecipient(room, 'server_restarting', (id) => ({
+            etaSeconds: SHUTDOWN_RESTART_ETA,
+            ...systemMessage(id, 'server_restarting', { etaSeconds: SHUTDOWN_RESTART_ETA })
+        }));
+    });
+
+    // Nothing may advance once the snapshots are written
+    scheduler.stop();
+    Object.values(rooms).forEach(room => roomStore.saveNow(room));
+
+    const forceExit = setTimeout(() => {
+        console.error('[Shutdown] Timed out, exiting anyway.');
+        process.exit(1);
+    }, SHUTDOWN_FORCE_EXIT_MS);
+    forceExit.unref();
+
+    setTimeout(() => {
+        // io.close() also closes the HTTP server
+        io.close(() => {
+            console.log('[Shutdown] Done.');
+            process.exit(0);
+        });
+    }, SHUTDOWN_NOTICE_MS);
+};
+
+// --- Start ---
+// Requiring this file (e.g. for simulateMatch) sets everything up without
+// listening, restoring rooms or delivering to Vecbot.
+const startServer = () => {
+    if (!process.env.INVITE_SECRET) console.log('[Invites] INVITE_SECRET is not set; invites stop working when the server restarts.');
+    vecbotOutbox.start();
+    restoreRooms();
+    roomReaper.start();
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    // Force restart
+    server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+};
+
+if (require.main === module) startServer();
+
+module.exports = { startServer, simulateMatch };
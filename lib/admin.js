@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// --- Admin API ---
+// REST routes under /admin and a socket.io namespace "/admin". Both share the
+// same actions and the same secret. Every action, reads included, and every
+// failed sign-in lands in the audit log.
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const readBearer = (header) => {
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    return match ? match[1] : null;
+};
+
+/**
+ * actions: { name: (params) => result } — throw an Error with a code as message
+ * to reject (e.g. 'room_not_found'); the result is sent back as { ok: true, ...result }
+ */
+const createAdminApi = ({ app, io, secret, actions: baseActions, audit }) => {
+    const actions = {
+        ...baseActions,
+        auditLog: ({ limit } = {}) => ({ entries: audit.recent(parseInt(limit) || 100) })
+    };
+
+    const isAuthorized = (candidate) => !!secret && safeEqual(candidate, secret);
+
+    // A wrong or missing secret; params say what was tried, never the secret itself
+    const denied = (actor, via, params = {}) => {
+        audit.record({ actor, via, action: 'authenticate', params, ok: false, error: 'unauthorized' });
+    };
+
+    // Run one action on behalf of an actor and audit it, whatever the outcome
+    const run = (name, params, actor, via) => {
+        const action = actions[name];
+        if (!action) return { ok: false, error: 'unknown_action' };
+        try {
+            const result = action(params || {}) || {};
+            audit.record({ actor, via, action: name, params, ok: true });
+            return { ok: true, ...result };
+        } catch (err) {
+            audit.record({ actor, via, action: name, params, ok: false, error: err.message });
+            return { ok: false, error: err.message };
+        }
+    };
+
+    // --- REST ---
+    const router = express.Router();
+    router.use(express.json({ limit: '16kb' }));
+    router.use((req, res, next) => {
+        if (!secret) return res.status(503).json({ ok: false, error: 'admin_disabled' });
+        const candidate = readBearer(req.get('authorization')) || req.get('x-admin-secret');
+        if (!isAuthorized(candidate)) {
+            denied(`rest:${req.ip}`, 'rest', { method: req.method, path: req.path });
+            return res.status(401).json({ ok: false, error: 'unauthorized' });
+        }
+        next();
+    });
+
+    const route = (method, url, name, toParams) => {
+        router[method](url, (req, res) => {
+            const params = toParams ? toParams(req) : {};
+            const result = run(name, params, `rest:${req.ip}`, 'rest');
+            const status = result.ok ? 200 : (/_not_found$/.test(result.error) ? 404 : 400);
+            res.status(status).json(result);
+        });
+    };
+
+    route('get', '/rooms', 'listRooms');
+    route('get', '/rooms/:code', 'inspectRoom', req => ({ room: req.params.code }));
+    route('get', '/audit', 'auditLog', req => ({ limit: req.query.limit }));
+    route('get', '/outbox', 'listOutbox', req => ({ status: req.query.status }));
+    route('post', '/rooms/:code/end-match', 'endMatch', req => ({ room: req.params.code }));
+    route('post', '/rooms/:code/skip-phase', 'skipPhase', req => ({ room: req.params.code }));
+    route('delete', '/rooms/:code', 'closeRoom', req => ({ room: req.params.code, reason: req.body?.reason }));
+    route('post', '/rooms/:code/kick', 'kickPlayer', req => ({ room: req.params.code, playerId: req.body?.playerId }));
+    route('post', '/rooms/:code/ban', 'banPlayer', req => ({ room: req.params.code, playerId: req.body?.playerId, username: req.body?.username }));
+    route('post', '/broadcast', 'broadcast', req => ({ room: req.body?.room, message: req.body?.message }));
+    route('post', '/outbox/:key/retry', 'retryDelivery', req => ({ key: req.params.key }));
+
+    app.use('/admin', router);
+
+    // --- Socket namespace ---
+    const nsp = io.of('/admin');
+    nsp.use((socket, next) => {
+        if (!secret) return next(new Error('admin_disabled'));
+        if (!isAuthorized(socket.handshake.auth?.secret)) {
+            denied(`socket:${socket.handshake.address}`, 'socket');
+            return next(new Error('unauthorized'));
+        }
+        next();
+    });
+
+    nsp.on('connection', (socket) => {
+        const actor = `socket:${socket.handshake.address}`;
+        const reply = (ack, payload) => { if (typeof ack === 'function') ack(payload); };
+
+        [
+            'listRooms', 'inspectRoom', 'auditLog', 'listOutbox',
+            'endMatch', 'skipPhase', 'closeRoom', 'kickPlayer', 'banPlayer', 'broadcast', 'retryDelivery'
+        ].forEach(name => {
+            // list_rooms, inspect_room, audit_log, list_outbox, end_match, skip_phase, close_room, ...
+            const event = name.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+            socket.on(event, (params, ack) => reply(ack, run(name, params, actor, 'socket')));
+        });
+    });
+
+    return { run, isAuthorized, denied };
+};
+
+module.exports = { createAdminApi };
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Art Providers ---
+// Every provider resolves to { innocent, impostor, theme } or throws, so the
+// chain can move on to the next one. The offline pack is always the last link.
+
+const ART_FETCH_TIMEOUT = 8000;
+const IMAGE_EXTENSIONS = ['.svg', '.png', '.jpg', '.jpeg', '.webp', '.gif'];
+const OFFLINE_PACK_DIR = path.join(__dirname, '..', 'data', 'art-packs', 'offline');
+
+// Built-in pairs for the URL list provider when no list file is configured
+const DEFAULT_URL_PAIRS = [
+    {
+        theme: 'Abstract',
+        innocent: "https://images.unsplash.com/photo-1579783902614-a3fb3927b6a5?q=80&w=600&auto=format&fit=crop",
+        impostor: "https://images.unsplash.com/photo-1578301978693-85fa9c0320b9?q=80&w=600&auto=format&fit=crop"
+    },
+    {
+        theme: 'Abstract',
+        innocent: "https://images.unsplash.com/photo-1547891654-e66ed7ebb968?q=80&w=600&auto=format&fit=crop",
+        impostor: "https://images.unsplash.com/photo-1549490349-8643362247b5?q=80&w=600&auto=format&fit=crop"
+    },
+    {
+        theme: 'Abstract',
+        innocent: "https://images.unsplash.com/photo-1561214115-f2f134cc4912?q=80&w=600&auto=format&fit=crop",
+        impostor: "https://images.unsplash.com/photo-1541963463532-d68292c34b19?q=80&w=600&auto=format&fit=crop"
+    }
+];
+
+const randomItem = (list) => list[Math.floor(Math.random() * list.length)];
+const pairKey = (pair) => [pair.innocent, pair.impostor].sort().join('|');
+
+// Prefer pairs not used yet in this match, but never run dry.
+// Curated pairs work both ways round, so either side may be the innocent one.
+const pickPair = (pairs, used) => {
+    const fresh = used ? pairs.filter(p => !used.has(pairKey(p))) : pairs;
+    const pair = randomItem(fresh.length ? fresh : pairs);
+    if (Math.random() < 0.5) return { ...pair };
+    return {
+        ...pair,
+        innocent: pair.impostor,
+        impostor: pair.innocent,
+        files: pair.files && { innocent: pair.files.impostor, impostor: pair.files.innocent }
+    };
+};
+
+const createMetProvider = () => ({
+    name: 'met',
+    fetchPair: async ({ theme }) => {
+        // Enforce Public Domain & Paintings classification to avoid random objects/architecture
+        const searchUrl = `https://collectionapi.metmuseum.org/public/collection/v1/search?hasImages=true&isPublicDomain=true&classification=Paintings&q=${encodeURIComponent(theme)}`;
+        const searchRes = await fetch(searchUrl, { signal: AbortSignal.timeout(ART_FETCH_TIMEOUT) });
+        const searchData = await searchRes.json();
+
+        if (!searchData.total || searchData.total < 10) throw new Error('Not enough results');
+
+        // Get pool of random IDs (fetch more to ensure we find valid images)
+        const ids = searchData.objectIDs;
+        const randomIds = [];
+        while (randomIds.length < 5) {
+            const rid = randomItem(ids);
+            if (!randomIds.includes(rid)) randomIds.push(rid);
+        }
+
+        // Fetch details in parallel
+        const potentialArt = await Promise.all(randomIds.map(async (id) => {
+            try {
+                const detailRes = await fetch(`https://collectionapi.metmuseum.org/public/collection/v1/objects/${id}`, {
+                    signal: AbortSignal.timeout(ART_FETCH_TIMEOUT)
+                });
+                const detailData = await detailRes.json();
+                // Prefer small image for speed, valid URL check
+                return detailData.primaryImageSmall || null;
+            } catch (e) {
+                return null;
+            }
+        }));
+
+        const validImages = potentialArt.filter(img => img && img.startsWith('http'));
+        if (validImages.length < 2) throw new Error('Not enough valid images found');
+
+        return { innocent: validImages[0], impostor: validImages[1], theme };
+    }
+});
+
+const createLoremFlickrProvider = () => ({
+    name: 'loremflickr',
+    fetchPair: async ({ theme }) => {
+        const searchKeywords = theme.replace(' ', ',');
+        let seed1 = Math.floor(Math.random() * 100000);
+        let seed2 = Math.floor(Math.random() * 100000);
+        while (seed1 === seed2) seed2 = Math.floor(Math.random() * 100000);
+
+        return {
+            innocent: `https://loremflickr.com/800/600/${searchKeywords}?lock=${seed1}`,
+            impostor: `https://loremflickr.com/800/600/${searchKeywords}?lock=${seed2}`,
+            theme
+        };
+    }
+});
+
+// Custom URL list: either ready-made pairs, or plain URLs paired at random
+const createUrlListProvider = ({ name = 'urls', entries = DEFAULT_URL_PAIRS } = {}) => {
+    const pairs = entries.filter(e => e && typeof e === 'object' && e.innocent && e.impostor);
+    const urls = entries.filter(e => typeof e === 'string');
+
+    return {
+        name,
+        fetchPair: async ({ used }) => {
+            if (pairs.length) return pickPair(pairs, used);
+            if (urls.length < 2) throw new Error('URL list needs at least 2 images');
+
+            const innocent = randomItem(urls);
+            let impostor = randomItem(urls);
+            while (impostor === innocent) impostor = randomItem(urls);
+            return { innocent, impostor, theme: null };
+        }
+    };
+};
+
+// Reads a local pack: either a pack.json listing pairs, or one sub-directory
+// per pair holding innocent.* and impostor.* images (sub-directory = theme)
+const loadPack = (dir) => {
+    const manifestPath = path.join(dir, 'pack.json');
+    if (fs.existsSync(manifestPath)) {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return (manifest.pairs || []).filter(p => p.innocent && p.impostor);
+    }
+
+    const findImage = (pairDir, base) => fs.readdirSync(path.join(dir, pairDir))
+        .find(f => path.parse(f).name === base && IMAGE_EXTENSIONS.includes(path.extname(f).toLowerCase()));
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => {
+            const innocent = findImage(entry.name, 'innocent');
+            const impostor = findImage(entry.name, 'impostor');
+            if (!innocent || !impostor) return null;
+            return {
+                theme: entry.name,
+                innocent: `${entry.name}/${innocent}`,
+                impostor: `${entry.name}/${impostor}`
+            };
+        })
+        .filter(Boolean);
+};
+
+// Local files are never served as they are: `files` keeps their paths so the
+// image cache reads them from disk, and "<pack>:<file>" only names them
+const createPackProvider = ({ name, dir }) => {
+    const isRemote = (file) => /^https?:\/\//.test(file);
+    const toUrl = (file) => isRemote(file) ? file : `${name}:${file}`;
+    const toFile = (file) => isRemote(file) ? null : path.join(dir, file);
+    const pairs = loadPack(dir).map(p => ({
+        innocent: toUrl(p.innocent),
+        impostor: toUrl(p.impostor),
+        theme: p.theme || null,
+        files: { innocent: toFile(p.innocent), impostor: toFile(p.impostor) }
+    }));
+    if (!pairs.length) throw new Error(`Art pack "${name}" in ${dir} has no usable pairs`);
+
+    return {
+        name,
+        dir,
+        pairs,
+        fetchPair: async ({ used }) => pickPair(pairs, used),
+        pickPair: (used) => pickPair(pairs, used)
+    };
+};
+
+/**
+ * Builds the provider registry and the default priority chain.
+ * options.chain: provider names tried in order (offline is always appended)
+ * options.packDir: extra local pack registered as "pack"
+ * options.urlListFile: JSON array of URLs or pairs registered as "urls"
+ */
+const createArtProviders = ({ chain = ['met', 'loremflickr'], packDir, urlListFile } = {}) => {
+    const providers = {};
+    const register = (provider) => { providers[provider.name] = provider; };
+
+    register(createMetProvider());
+    register(createLoremFlickrProvider());
+
+    let urlEntries = DEFAULT_URL_PAIRS;
+    if (urlListFile) {
+        try {
+            urlEntries = JSON.parse(fs.readFileSync(urlListFile, 'utf8'));
+        } catch (err) {
+            console.error(`[Art] URL list ${urlListFile} could not be read:`, err.message);
+        }
+    }
+    register(createUrlListProvider({ entries: urlEntries }));
+
+    const offline = createPackProvider({ name: 'offline', dir: OFFLINE_PACK_DIR });
+    register(offline);
+
+    if (packDir) {
+        try {
+            register(createPackProvider({ name: 'pack', dir: packDir }));
+        } catch (err) {
+            console.error('[Art] Custom art pack disabled:', err.message);
+        }
+    }
+
+    const defaultChain = chain.filter(n => providers[n]);
+
+    const getChain = (preferred) => {
+        const names = preferred && providers[preferred]
+            ? [preferred, ...defaultChain.filter(n => n !== preferred)]
+            : [...defaultChain];
+        if (!names.includes('offline')) names.push('offline');
+        return names;
+    };
+
+    // Walk the chain until one provider delivers a pair
+    const fetchPair = async ({ theme, preferred, used } = {}) => {
+        for (const name of getChain(preferred)) {
+            try {
+                const pair = await providers[name].fetchPair({ theme, used });
+                return { ...pair, theme: pair.theme || theme, provider: name };
+            } catch (err) {
+                console.error(`[Art] Provider "${name}" failed for theme "${theme}":`, err.message);
+            }
+        }
+        return fallbackPair(used);
+    };
+
+    // Synchronous, never-failing pair for emergencies (no network involved)
+    const fallbackPair = (used) => ({ ...offline.pickPair(used), provider: 'offline' });
+
+    return {
+        names: Object.keys(providers),
+        getChain,
+        fetchPair,
+        fallbackPair,
+        pairKey
+    };
+};
+
+module.exports = {
+    createArtProviders,
+    createMetProvider,
+    createLoremFlickrProvider,
+    createUrlListProvider,
+    createPackProvider
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Audit Log ---
+// Append-only JSON lines on disk, plus the latest entries in memory for quick listing.
+
+const createAuditLog = ({ file = null, keep = 500 } = {}) => {
+    const recentEntries = [];
+
+    if (file) fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    const record = (entry) => {
+        const line = { at: new Date().toISOString(), ...entry };
+        recentEntries.push(line);
+        if (recentEntries.length > keep) recentEntries.shift();
+
+        console.log(`[AUDIT] ${line.actor} ${line.action}`, JSON.stringify(line.params || {}), line.ok ? 'ok' : `failed: ${line.error}`);
+        if (file) {
+            fs.appendFile(file, JSON.stringify(line) + '\n', (err) => {
+                if (err) console.error('[AUDIT] Could not write audit log:', err.message);
+            });
+        }
+        return line;
+    };
+
+    const recent = (limit = 100) => recentEntries.slice(-limit).reverse();
+
+    return { record, recent };
+};
+
+module.exports = { createAuditLog };
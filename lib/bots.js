@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { wordKey } = require('./wordRules');
+
+// --- Bots ---
+// What server-side bot players decide: a name, the words to try on their
+// turn, who to vote for and which option to guess. Bots act through the same
+// game functions as sockets, so every rule a player faces applies to them too.
+
+const DEFAULT_WORDS_FILE = path.join(__dirname, '..', 'data', 'bot-words.json');
+
+const BOT_NAMES = [
+    'Bot Picasso', 'Bot Frida', 'Bot Monet', 'Bot Dalí', 'Bot Van Gogh',
+    'Bot Rembrandt', 'Bot Hamdi', 'Bot Mualla', 'Bot Vermeer', 'Bot Matisse'
+];
+
+const shuffle = (array) => [...array].sort(() => Math.random() - 0.5);
+const pickRandom = (list) => list[Math.floor(Math.random() * list.length)];
+
+/**
+ * themeWords: { "<theme>": ["word", ...], default: [...] }; words an innocent
+ * could write about a painting of that theme, and vague ones for any painting
+ */
+const createBotBrain = (themeWords = {}) => {
+    const genericWords = themeWords.default || [];
+    const wordsFor = (theme) => themeWords[theme] || genericWords;
+
+    // A bot name not taken in the room yet (compared case-insensitively)
+    const pickName = (taken) => {
+        const used = new Set(taken.map(name => name.toLowerCase()));
+        const free = BOT_NAMES.filter(name => !used.has(name.toLowerCase()));
+        if (free.length) return pickRandom(free);
+        let n = 2;
+        while (used.has(`bot ${n}`)) n++;
+        return `Bot ${n}`;
+    };
+
+    /**
+     * Words to try on a turn, best first; the caller runs them through the
+     * room's word rules and submits the first one accepted.
+     * hint.theme: art mode theme; hint.pool: words mode, the other words of the category
+     * Impostors only half-know what they are looking at, so every other word
+     * they try is a vague one.
+     */
+    const wordCandidates = ({ role, theme = null, pool = null }) => {
+        const known = shuffle(pool || wordsFor(theme));
+        const vague = shuffle(genericWords);
+        if (role !== 'impostor') return [...known, ...vague];
+        return known.flatMap((word, i) => [vague[i], word]).filter(Boolean).concat(vague.slice(known.length));
+    };
+
+    // Words a bot expects from innocents, as comparison keys
+    const expectedKeys = ({ theme = null, pool = null }) => new Set((pool || wordsFor(theme)).map(wordKey));
+
+    /**
+     * candidates: [{ id, words: ["word", ...] }] everyone the bot may vote for
+     * Innocent bots vote for whoever wrote the most unexpected words; impostor
+     * bots vote for an innocent, for a teammate only when nobody else is left.
+     * Ties are broken randomly.
+     */
+    const pickVote = ({ role, candidates, expected, teammates = [] }) => {
+        if (!candidates.length) return null;
+        const innocents = candidates.filter(c => !teammates.includes(c.id));
+        const pool = role === 'impostor' && innocents.length ? innocents : candidates;
+        if (role === 'impostor') return pickRandom(pool).id;
+
+        const oddness = (c) => c.words.length
+            ? c.words.filter(word => !expected.has(wordKey(word))).length / c.words.length
+            : 1; // Wrote nothing at all: suspicious
+        const top = Math.max(...pool.map(oddness));
+        return pickRandom(pool.filter(c => oddness(c) === top)).id;
+    };
+
+    // Nothing to go on but luck
+    const pickGuess = (options) => options.length ? pickRandom(options).id : null;
+
+    return { pickName, wordCandidates, expectedKeys, pickVote, pickGuess };
+};
+
+// BOT_WORDS_FILE: JSON object of theme -> words (plus "default"); the bundled list otherwise
+const loadBotBrain = (file = DEFAULT_WORDS_FILE) => {
+    try {
+        return createBotBrain(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+        console.error(`[Bots] Bot words ${file} could not be read:`, err.message);
+        return createBotBrain({});
+    }
+};
+
+module.exports = { createBotBrain, loadBotBrain, BOT_NAMES };
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { lowerTurkish, normalizeTurkish } = require('./turkish');
+
+// --- Chat ---
+// Message cleanup, the word filter and the per-room history. Who may say what
+// and to whom (mutes, phase rules, channels) is decided by the socket handler.
+
+const DEFAULT_FILTER_FILE = path.join(__dirname, '..', 'data', 'chat-filter.json');
+
+// Final consonants soften before a vowel suffix (salak -> salağa, already folded to "salaga")
+const SOFTENED = { k: 'g', p: 'b', t: 'd' };
+
+// Common character swaps used to dodge filters ("s4l4k", "$alak")
+const LOOKALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+// Reduce a word to what the filter compares: lowercased, lookalikes replaced,
+// punctuation dropped and repeated letters collapsed ("SALAAAK!" -> "salak").
+// fold: Turkish letters folded to ASCII too ("ŞEREFSİZ", "serefsiz"); only for
+// prefix entries, short exact ones would turn into other words ("göt" -> "got").
+const filterKey = (word, { fold = true } = {}) => (fold ? normalizeTurkish(word) : lowerTurkish(word))
+    .replace(/[013457@$]/g, ch => LOOKALIKES[ch])
+    .replace(fold ? /[^a-z]/g : /[^\p{L}]/gu, '')
+    .replace(/(.)\1+/gu, '$1');
+
+/**
+ * words: entries match whole words, Turkish letters as written ("piç" blocks
+ * "PİÇ" but not "pic"); a trailing "*" also matches longer words, with or
+ * without Turkish letters, which catches suffixes ("salak*" -> "salaklar", "salağa").
+ */
+const createWordFilter = (words = []) => {
+    const exact = new Set();
+    const prefixes = [];
+    words.forEach(entry => {
+        const raw = String(entry).trim();
+        if (!raw) return;
+        const isPrefix = raw.endsWith('*');
+        const key = filterKey(isPrefix ? raw.slice(0, -1) : raw, { fold: isPrefix });
+        if (!key) return;
+        if (!isPrefix) return exact.add(key);
+        prefixes.push(key);
+        const last = key[key.length - 1];
+        if (SOFTENED[last]) prefixes.push(key.slice(0, -1) + SOFTENED[last]);
+    });
+
+    const isBlocked = (word) => {
+        const key = filterKey(word);
+        return (!!key && prefixes.some(p => key.startsWith(p))) || exact.has(filterKey(word, { fold: false }));
+    };
+
+    // Blocked words are masked, everything else (spacing included) stays as typed
+    const clean = (text) => {
+        let filtered = false;
+        const out = text.split(/(\s+)/).map(part => {
+            if (!part.trim() || !isBlocked(part)) return part;
+            filtered = true;
+            return '*'.repeat([...part].length);
+        }).join('');
+        return { text: out, filtered };
+    };
+
+    return { isBlocked, clean };
+};
+
+// CHAT_FILTER_FILE: JSON array of words; the bundled Turkish list otherwise
+const loadWordFilter = (file = DEFAULT_FILTER_FILE) => {
+    try {
+        return createWordFilter(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+        console.error(`[Chat] Word filter ${file} could not be read:`, err.message);
+        return createWordFilter([]);
+    }
+};
+
+/**
+ * options.maxLength: characters per message, after whitespace is collapsed
+ * options.historySize: messages kept per room and replayed on join
+ * options.filter: word filter from createWordFilter / loadWordFilter
+ */
+const createChat = ({ maxLength = 200, historySize = 50, filter = createWordFilter() } = {}) => {
+    // Returns { text } or { error: 'empty' | 'too_long' }
+    const prepare = (raw) => {
+        const text = String(raw ?? '').replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+        if (!text) return { error: 'empty' };
+        if ([...text].length > maxLength) return { error: 'too_long' };
+        return filter.clean(text);
+    };
+
+    const ensure = (room) => {
+        if (!room.chat) room.chat = { history: [], nextId: 1 };
+        return room.chat;
+    };
+
+    // Channels: 'room' reaches everyone, 'spectators' spectators only,
+    // 'impostors' the impostors of the running round (never kept in history)
+    const record = (room, { username, message, isSpectator, channel }) => {
+        const chat = ensure(room);
+        const entry = { id: chat.nextId++, username, message, isSpectator, channel, at: Date.now() };
+        if (channel !== 'impostors') {
+            chat.history.push(entry);
+            if (chat.history.length > historySize) chat.history.splice(0, chat.history.length - historySize);
+        }
+        return entry;
+    };
+
+    const historyFor = (room, { isSpectator }) => ensure(room).history
+        .filter(entry => entry.channel === 'room' || (entry.channel === 'spectators' && isSpectator));
+
+    return { prepare, record, historyFor, maxLength };
+};
+
+module.exports = { createChat, createWordFilter, loadWordFilter, filterKey };
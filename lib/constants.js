@@ -0,0 +1,17 @@
+// --- Constants shared by the game loop and the view layer ---
+
+const PHASE = {
+    LOBBY: 'lobby',
+    VIEWING: 'viewing',
+    WRITING: 'writing',
+    DISCUSSING: 'discussing',
+    VOTING: 'voting',
+    IMPOSTOR_GUESS: 'impostor_guess',
+    RESULTS: 'results',
+    MATCH_END: 'match_end'
+};
+
+// Explicit "skip" option in votes, counted like any other target
+const SKIP_VOTE = 'skip';
+
+module.exports = { PHASE, SKIP_VOTE };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Localization ---
+// Server messages are sent as a stable code plus params; the text next to
+// them comes from a per-locale catalog (data/locales/<locale>.json). Keys are
+// "<section>.<name>", e.g. "errors.room_full"; {param} placeholders are
+// filled from the params.
+
+const DEFAULT_LOCALES_DIR = path.join(__dirname, '..', 'data', 'locales');
+
+const loadCatalogs = (dir) => {
+    const catalogs = {};
+    try {
+        fs.readdirSync(dir).filter(f => f.endsWith('.json')).forEach(f => {
+            try {
+                catalogs[path.basename(f, '.json')] = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+            } catch (err) {
+                console.error(`[i18n] Catalog ${f} could not be read:`, err.message);
+            }
+        });
+    } catch (err) {
+        console.error(`[i18n] Locale directory ${dir} could not be read:`, err.message);
+    }
+    return catalogs;
+};
+
+const format = (template, params = {}) => template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return match;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+});
+
+/**
+ * options.dir: directory of <locale>.json catalogs
+ * options.defaultLocale: used for unknown locales and for keys a catalog lacks
+ */
+const createI18n = ({ dir = DEFAULT_LOCALES_DIR, defaultLocale = 'tr' } = {}) => {
+    const catalogs = loadCatalogs(dir);
+    const locales = Object.keys(catalogs);
+    const fallbackLocale = catalogs[defaultLocale] ? defaultLocale : locales[0] || defaultLocale;
+
+    const lookup = (locale, key) => {
+        const dot = key.indexOf('.');
+        const section = catalogs[locale]?.[key.slice(0, dot)];
+        return section ? section[key.slice(dot + 1)] : undefined;
+    };
+
+    // "en-US,en;q=0.9", "EN", "tr_TR" -> a locale we have a catalog for, or `fallback`
+    const resolveLocale = (input, fallback = fallbackLocale) => {
+        const tags = String(input || '').split(',').map(tag => tag.split(';')[0].trim().toLowerCase());
+        for (const tag of tags) {
+            if (catalogs[tag]) return tag;
+            const base = tag.split(/[-_]/)[0];
+            if (catalogs[base]) return base;
+        }
+        return fallback;
+    };
+
+    // keys: tried in order, so specific messages can fall back to a generic one
+    const t = (locale, keys, params) => {
+        const list = Array.isArray(keys) ? keys : [keys];
+        for (const key of list) {
+            const template = lookup(locale, key) ?? lookup(fallbackLocale, key);
+            if (template !== undefined) return format(template, params);
+        }
+        return list[list.length - 1];
+    };
+
+    return { t, resolveLocale, locales, defaultLocale: fallbackLocale };
+};
+
+module.exports = { createI18n };
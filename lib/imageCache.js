@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Round Image Cache ---
+// Round artwork is downloaded once, checked, and served back to clients under
+// opaque IDs, so nobody can tell the source (or the other side's image) from the URL.
+
+const IMAGE_FETCH_TIMEOUT = 10000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Sniff the real format from the bytes; headers from random hosts can't be trusted
+const detectImageType = (buffer) => {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+
+    const head = buffer.toString('utf8', 0, Math.min(buffer.length, 1024)).trimStart();
+    if ((head.startsWith('<svg') || head.startsWith('<?xml')) && head.includes('<svg')) return 'image/svg+xml';
+    return null;
+};
+
+const validateImage = (buffer, source) => {
+    if (buffer.length > MAX_IMAGE_BYTES) throw new Error(`Image too large (${buffer.length} bytes): ${source}`);
+    const contentType = detectImageType(buffer);
+    if (!contentType) throw new Error(`Not a decodable image: ${source}`);
+    return contentType;
+};
+
+const downloadImage = async (url) => {
+    const res = await fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT) });
+    if (!res.ok) throw new Error(`Image download failed (${res.status}): ${url}`);
+    const length = Number(res.headers.get('content-length') || 0);
+    if (length > MAX_IMAGE_BYTES) throw new Error(`Image too large (${length} bytes): ${url}`);
+    return Buffer.from(await res.arrayBuffer());
+};
+
+/**
+ * options.dir: optional directory for image bytes (kept in memory otherwise)
+ * options.maxEntries: oldest images are evicted past this count
+ */
+const createImageCache = ({ dir = null, maxEntries = 300 } = {}) => {
+    const entries = new Map(); // id -> { contentType, buffer?, file? }
+
+    if (dir) fs.mkdirSync(dir, { recursive: true });
+
+    const remove = (id) => {
+        const entry = entries.get(id);
+        if (!entry) return;
+        entries.delete(id);
+        if (entry.file) fs.unlink(entry.file, () => {});
+    };
+
+    // `id` is only passed when re-caching an image a restored room still points at
+    const put = (buffer, source, id = crypto.randomBytes(16).toString('hex')) => {
+        const contentType = validateImage(buffer, source);
+
+        if (dir) {
+            const file = path.join(dir, id);
+            fs.writeFileSync(file, buffer);
+            entries.set(id, { contentType, file });
+        } else {
+            entries.set(id, { contentType, buffer });
+        }
+
+        while (entries.size > maxEntries) remove(entries.keys().next().value);
+        return id;
+    };
+
+    // Local files (art packs) can be cached synchronously, no network needed
+    const putFileSync = (file, id) => put(fs.readFileSync(file), file, id);
+
+    const putUrl = async (url, file, id) => {
+        if (file) return putFileSync(file, id);
+        return put(await downloadImage(url), url, id);
+    };
+
+    // Files written before a restart are still on disk, only the index is gone
+    const adopt = (id) => {
+        if (!dir || !IMAGE_ID_PATTERN.test(id)) return null;
+        const file = path.join(dir, id);
+        try {
+            const contentType = detectImageType(fs.readFileSync(file));
+            if (!contentType) return null;
+            entries.set(id, { contentType, file });
+            return entries.get(id);
+        } catch (err) {
+            return null;
+        }
+    };
+
+    const has = (id) => entries.has(id) || !!adopt(id);
+
+    const get = (id) => {
+        const entry = entries.get(id) || adopt(id);
+        if (!entry) return null;
+        if (entry.buffer) return { contentType: entry.contentType, buffer: entry.buffer };
+        try {
+            return { contentType: entry.contentType, buffer: fs.readFileSync(entry.file) };
+        } catch (err) {
+            entries.delete(id);
+            return null;
+        }
+    };
+
+    const release = (ids) => (ids || []).forEach(remove);
+
+    return { put, putFileSync, putUrl, has, get, release, size: () => entries.size };
+};
+
+module.exports = { createImageCache, detectImageType };
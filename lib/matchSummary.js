@@ -0,0 +1,100 @@
+// --- Match Summary ---
+// Per-player stats collected over a match and the summary posted to Vecbot at MATCH_END.
+
+// Suggested Vecbot points per player. The PHP side may apply its own rule instead;
+// the raw stats are always in the payload. Defaults match the old flat +10 for winners.
+const DEFAULT_POINTS_RULE = {
+    winner: 10,             // Top score among humans (every tied top scorer counts)
+    roundWonAsImpostor: 0,
+    roundWonAsInnocent: 0,
+    correctVote: 0
+};
+
+const emptyStats = () => ({
+    roleHistory: [],
+    roundsWonAsImpostor: 0,
+    roundsWonAsInnocent: 0,
+    correctVotes: 0
+});
+
+// Reads VECBOT_POINTS_RULE-style JSON, keeping only known numeric fields
+const parsePointsRule = (json) => {
+    const rule = { ...DEFAULT_POINTS_RULE };
+    if (!json) return rule;
+    try {
+        const parsed = JSON.parse(json);
+        Object.keys(rule).forEach(key => {
+            if (Number.isFinite(parsed[key])) rule[key] = parsed[key];
+        });
+    } catch (err) {
+        console.error('[MatchSummary] Invalid points rule, using defaults:', err.message);
+    }
+    return rule;
+};
+
+/**
+ * Adds one finished round to each player's stats.
+ * winner: 'innocents' | 'impostor' | 'none' (tied vote, nobody wins the round)
+ */
+const recordRound = (room, winner) => {
+    room.players.forEach(p => {
+        if (!p.role) return;
+        if (!p.matchStats) p.matchStats = emptyStats();
+        p.matchStats.roleHistory.push(p.role);
+        if (p.role === 'impostor' && winner === 'impostor' && !p.isCaught) p.matchStats.roundsWonAsImpostor++;
+        if (p.role === 'innocent' && winner === 'innocents') p.matchStats.roundsWonAsInnocent++;
+    });
+};
+
+// Top scorers (every tied one). Bots have no Vecbot account and never win a
+// match unless countBots is set (bots-only simulations).
+const matchWinners = (players, { countBots = false } = {}) => {
+    const contenders = countBots ? players : players.filter(p => !p.isBot);
+    if (!contenders.length) return [];
+    const maxScore = Math.max(...contenders.map(p => Number(p.score || 0)));
+    return contenders.filter(p => Number(p.score || 0) === maxScore);
+};
+
+/**
+ * options.countBots: bots can win and earn points too; for bots-only
+ * simulations, whose summaries are never posted to Vecbot
+ */
+const buildMatchSummary = (room, rule = DEFAULT_POINTS_RULE, { countBots = false } = {}) => {
+    const players = room.players.map(p => ({ p, stats: p.matchStats || emptyStats(), score: Number(p.score || 0) }));
+    const winners = new Set(matchWinners(room.players, { countBots }));
+    const sorted = [...players].sort((a, b) => b.score - a.score);
+
+    return {
+        matchId: room.state.matchId,
+        room: room.code,
+        endedAt: new Date().toISOString(),
+        rounds: room.state.currentRound,
+        drawRounds: room.state.drawRounds || 0,
+        isTie: winners.size > 1,
+        winners: [...winners].map(p => p.username),
+        pointsRule: rule,
+        players: sorted.map(({ p, stats, score }) => {
+            const isWinner = winners.has(p);
+            const points = (isWinner ? rule.winner : 0)
+                + stats.roundsWonAsImpostor * rule.roundWonAsImpostor
+                + stats.roundsWonAsInnocent * rule.roundWonAsInnocent
+                + stats.correctVotes * rule.correctVote;
+            return {
+                username: p.username,
+                score,
+                // Equal scores share a rank
+                rank: 1 + sorted.filter(x => x.score > score).length,
+                isWinner,
+                isOffline: !!p.isOffline,
+                isBot: !!p.isBot,
+                roleHistory: stats.roleHistory,
+                roundsWonAsImpostor: stats.roundsWonAsImpostor,
+                roundsWonAsInnocent: stats.roundsWonAsInnocent,
+                correctVotes: stats.correctVotes,
+                points: p.isBot && !countBots ? 0 : points
+            };
+        })
+    };
+};
+
+module.exports = { DEFAULT_POINTS_RULE, emptyStats, parsePointsRule, recordRound, matchWinners, buildMatchSummary };
@@ -0,0 +1,44 @@
+// --- Rate Limiter ---
+// Sliding window per key: at most `limit` hits within `windowMs`.
+// Keys nobody calls forget() for (IP addresses) are swept once all their hits
+// have expired, at most once per window.
+
+const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+    const hits = new Map(); // key -> timestamps of recent hits
+    let lastSweep = now();
+
+    const sweep = (t) => {
+        if (t - lastSweep < windowMs) return;
+        lastSweep = t;
+        hits.forEach((stamps, key) => {
+            if (t - stamps[stamps.length - 1] >= windowMs) hits.delete(key);
+        });
+    };
+
+    // Returns false (and records nothing) once the key is over the limit
+    const hit = (key) => {
+        const t = now();
+        sweep(t);
+        const recent = (hits.get(key) || []).filter(ts => t - ts < windowMs);
+        if (recent.length >= limit) {
+            hits.set(key, recent);
+            return false;
+        }
+        recent.push(t);
+        hits.set(key, recent);
+        return true;
+    };
+
+    const forget = (key) => hits.delete(key);
+
+    return { hit, forget, size: () => hits.size };
+};
+
+// "5/10" -> 5 hits per 10 seconds
+const parseRateLimit = (raw, fallback) => {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(raw || '');
+    if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) return fallback;
+    return { limit: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+};
+
+module.exports = { createRateLimiter, parseRateLimit };
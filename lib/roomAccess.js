@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// --- Room Access ---
+// Room passwords and invite tokens. Passwords are stored as salted scrypt
+// hashes. Invites are "<payload>.<signature>" (base64url, HMAC-SHA256), expire,
+// and only open the room they were made for: the payload carries the room's
+// accessKey, so a room code reused after the room closed doesn't honour old invites.
+// scrypt runs on the libuv thread pool: hashPassword and checkPassword return promises.
+
+const PASSWORD_KEY_LENGTH = 32;
+
+/**
+ * options.secret: INVITE_SECRET; without one a random secret is used and
+ *   invites stop working when the server restarts
+ * options.now: injectable clock for tests
+ */
+const createRoomAccess = ({ secret = null, now = Date.now } = {}) => {
+    const key = secret || crypto.randomBytes(32).toString('hex');
+    const sign = (data) => crypto.createHmac('sha256', key).update(data).digest('base64url');
+
+    const sameBytes = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+    const hashPassword = async (password) => {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+        return `${salt.toString('base64url')}:${hash.toString('base64url')}`;
+    };
+
+    const checkPassword = async (password, stored) => {
+        const [salt, hash] = String(stored || '').split(':');
+        if (!salt || !hash) return false;
+        const actual = await scrypt(String(password || ''), Buffer.from(salt, 'base64url'), PASSWORD_KEY_LENGTH);
+        return sameBytes(Buffer.from(hash, 'base64url'), actual);
+    };
+
+    // Changes whenever a room is created; part of every invite for that room
+    const newAccessKey = () => crypto.randomBytes(8).toString('hex');
+
+    const createInvite = (room, ttlSeconds) => {
+        const expiresAt = now() + ttlSeconds * 1000;
+        const payload = Buffer.from(JSON.stringify({ room: room.code, key: room.accessKey, exp: expiresAt })).toString('base64url');
+        return { token: `${payload}.${sign(payload)}`, expiresAt };
+    };
+
+    // Unverified contents: only used to find the room a join is for
+    const readInvite = (token) => {
+        try {
+            const data = JSON.parse(Buffer.from(String(token).split('.')[0], 'base64url').toString('utf8'));
+            return data && typeof data.room === 'string' ? data : null;
+        } catch (err) {
+            return null;
+        }
+    };
+
+    const inviteRoom = (token) => readInvite(token)?.room || null;
+
+    // null when the invite opens this room, otherwise why not: 'invalid' | 'expired'
+    const checkInvite = (token, room) => {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature || !sameBytes(Buffer.from(signature), Buffer.from(sign(payload)))) return 'invalid';
+
+        const data = readInvite(token);
+        if (!data || data.room !== room.code || data.key !== room.accessKey) return 'invalid';
+        if (!(data.exp > now())) return 'expired';
+        return null;
+    };
+
+    return { hashPassword, checkPassword, newAccessKey, createInvite, inviteRoom, checkInvite };
+};
+
+module.exports = { createRoomAccess };
@@ -0,0 +1,74 @@
+const { PHASE } = require('./constants');
+
+// --- Room Reaper ---
+// Closes rooms nobody has touched for a while. Activity is stamped on the room
+// (room.lastActivityAt) whenever one of its players sends an event; phase
+// timers running on their own don't count. TTLs are in seconds, per phase,
+// with `empty` used for rooms that have no online player at all (bots don't count).
+
+const DEFAULT_IDLE_TTLS = {
+    empty: 5 * 60,
+    [PHASE.LOBBY]: 30 * 60,
+    [PHASE.MATCH_END]: 10 * 60,
+    default: 30 * 60 // Every other (in-match) phase
+};
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+// ROOM_IDLE_TTL: JSON object overriding some of the defaults, e.g. {"lobby":900,"empty":120}
+const parseIdleTtls = (raw) => {
+    if (!raw) return { ...DEFAULT_IDLE_TTLS };
+    try {
+        const parsed = JSON.parse(raw);
+        const ttls = { ...DEFAULT_IDLE_TTLS };
+        Object.keys(parsed || {}).forEach(key => {
+            const value = Number(parsed[key]);
+            if (Number.isFinite(value) && value > 0) ttls[key] = value;
+        });
+        return ttls;
+    } catch (err) {
+        console.error('[Reaper] Invalid ROOM_IDLE_TTL, using defaults:', err.message);
+        return { ...DEFAULT_IDLE_TTLS };
+    }
+};
+
+const idleTtlFor = (room, ttls) => {
+    if (!room.players.some(p => !p.isOffline && !p.isBot)) return ttls.empty;
+    return ttls[room.state.phase] ?? ttls.default;
+};
+
+/**
+ * options.getRooms: returns the rooms to check
+ * options.onExpire: called with (room, idleSeconds) for each room past its TTL
+ */
+const createRoomReaper = ({ getRooms, onExpire, ttls = DEFAULT_IDLE_TTLS, intervalMs = SWEEP_INTERVAL }) => {
+    let timer = null;
+
+    const sweep = (now = Date.now()) => {
+        const expired = getRooms().filter(room => {
+            const idleSeconds = (now - (room.lastActivityAt || 0)) / 1000;
+            return idleSeconds > idleTtlFor(room, ttls);
+        });
+        expired.forEach(room => onExpire(room, Math.round((now - (room.lastActivityAt || 0)) / 1000)));
+        return expired.length;
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(() => sweep(), intervalMs);
+        if (timer.unref) timer.unref();
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+    };
+
+    return { sweep, start, stop };
+};
+
+const touchRoom = (room, now = Date.now()) => {
+    room.lastActivityAt = now;
+};
+
+module.exports = { createRoomReaper, parseIdleTtls, idleTtlFor, touchRoom, DEFAULT_IDLE_TTLS };
@@ -0,0 +1,235 @@
+const { PHASE } = require('./constants');
+
+// --- Room Settings ---
+// One validated settings object per room; every phase and turn reads from it.
+
+const TIE_FALLBACKS = ['none', 'random', 'impostor'];
+const GAME_MODES = ['art', 'words']; // art: image pairs; words: secret words from a word pack
+const IMPOSTOR_CLUES = ['word', 'category']; // Word mode: what the impostor gets instead of the secret word
+const SPECTATOR_CHAT_MODES = ['shared', 'separate']; // separate: spectator messages reach spectators only
+
+// Durations in seconds
+const DEFAULT_TIMERS = {
+    writing: 30,        // Per writer turn
+    discussion: 120,
+    voting: 30,
+    runoff: 15,         // Tie-break vote
+    impostorGuess: 15,
+    results: 5,
+    matchEnd: 30,
+    readyCountdown: 4   // Lobby countdown once everyone is ready
+};
+
+const TIMER_LIMITS = {
+    writing: [10, 120],
+    discussion: [15, 600],
+    voting: [10, 120],
+    runoff: [5, 60],
+    impostorGuess: [5, 60],
+    results: [3, 30],
+    matchEnd: [5, 120],
+    readyCountdown: [1, 15]
+};
+
+// What a writer may submit (see lib/wordRules.js)
+const DEFAULT_WORD_RULES = {
+    maxLength: 20,
+    singleWord: true,
+    uniqueWords: true,      // No word twice in the same round
+    blockThemeWords: true   // Not the round's theme or one of its synonyms
+};
+
+const WORD_MAX_LENGTH_LIMITS = [3, 40];
+
+// Points per round (see lib/scoring.js); the defaults are the classic rules
+const DEFAULT_SCORING = {
+    correctVote: 20,        // Each innocent who voted for a caught impostor
+    suspicion: 0,           // Innocent who voted for an impostor that got away
+    wrongAccusation: 0,     // Innocent who voted for another innocent (negative: a penalty)
+    escape: 30,             // Escaped impostor...
+    escapePerPlayer: 10,    // ...plus this much per player in the room
+    escapeVotePenalty: 0,   // Taken off an escape per vote the impostor got
+    closeCall: 0,           // Escaped with at most closeCallMargin votes fewer than the top
+    closeCallMargin: 1,
+    trustedClue: 0,         // Innocent nobody voted for during the round
+    guessSteal: 50          // Percent of correctVote a right impostor guess takes from each voter
+};
+
+const SCORING_LIMITS = {
+    correctVote: [0, 100],
+    suspicion: [0, 100],
+    wrongAccusation: [-100, 100],
+    escape: [0, 200],
+    escapePerPlayer: [0, 50],
+    escapeVotePenalty: [0, 50],
+    closeCall: [0, 100],
+    closeCallMargin: [0, 5],
+    trustedClue: [0, 100],
+    guessSteal: [0, 100]
+};
+
+const DEFAULT_ROOM_SETTINGS = {
+    gameMode: 'art',
+    wordPack: 'auto',        // Word mode pack; auto: the owner's language
+    impostorClue: 'word',
+    rounds: 5,
+    laps: 1,                 // Writing laps per round: every player writes once per lap
+    maxPlayers: 12,
+    impostorCount: 1,
+    tieFallback: 'none',
+    artProvider: 'auto',
+    spectatorChat: 'shared',
+    chatBlockedPhases: [],   // Phases without room chat, e.g. ['writing']
+    impostorWhisper: false,  // Private chat channel between impostors during a round
+    wordRules: DEFAULT_WORD_RULES,
+    scoring: DEFAULT_SCORING,
+    timers: DEFAULT_TIMERS
+};
+
+const LIMITS = {
+    rounds: [1, 20],
+    laps: [1, 3],
+    maxPlayers: [2, 16],
+    impostorCount: [1, 3]
+};
+
+const toInt = (value) => {
+    const n = Number(value);
+    return Number.isInteger(n) ? n : NaN;
+};
+
+const checkRange = (errors, field, value, [min, max]) => {
+    const n = toInt(value);
+    if (Number.isNaN(n) || n < min || n > max) {
+        errors.push({ field, rule: 'range', params: { min, max } });
+        return undefined;
+    }
+    return n;
+};
+
+/**
+ * Validates a (partial) settings object on top of `base`.
+ * Unknown fields are ignored; any invalid field rejects the whole update.
+ * options.artProviders: provider names allowed for artProvider ('auto' always is)
+ * options.wordPacks: pack names allowed for wordPack ('auto' always is)
+ * Returns { settings, errors }; settings is null when errors is non-empty.
+ * Each error is { field, rule, params } (see "validation" in data/locales).
+ */
+const validateRoomSettings = (input, { base = DEFAULT_ROOM_SETTINGS, artProviders = [], wordPacks = [] } = {}) => {
+    const errors = [];
+    const next = { ...base, wordRules: { ...base.wordRules }, scoring: { ...base.scoring }, timers: { ...base.timers } };
+
+    if (!input || typeof input !== 'object') {
+        return { settings: null, errors: [{ field: null, rule: 'bad_settings', params: {} }] };
+    }
+
+    Object.keys(LIMITS).forEach(field => {
+        if (input[field] === undefined) return;
+        const value = checkRange(errors, field, input[field], LIMITS[field]);
+        if (value !== undefined) next[field] = value;
+    });
+
+    if (input.tieFallback !== undefined) {
+        if (TIE_FALLBACKS.includes(input.tieFallback)) next.tieFallback = input.tieFallback;
+        else errors.push({ field: 'tieFallback', rule: 'one_of', params: { values: TIE_FALLBACKS } });
+    }
+
+    if (input.gameMode !== undefined) {
+        if (GAME_MODES.includes(input.gameMode)) next.gameMode = input.gameMode;
+        else errors.push({ field: 'gameMode', rule: 'one_of', params: { values: GAME_MODES } });
+    }
+
+    if (input.wordPack !== undefined) {
+        if (input.wordPack === 'auto' || wordPacks.includes(input.wordPack)) next.wordPack = input.wordPack;
+        else errors.push({ field: 'wordPack', rule: 'one_of', params: { values: ['auto', ...wordPacks] } });
+    }
+
+    if (input.impostorClue !== undefined) {
+        if (IMPOSTOR_CLUES.includes(input.impostorClue)) next.impostorClue = input.impostorClue;
+        else errors.push({ field: 'impostorClue', rule: 'one_of', params: { values: IMPOSTOR_CLUES } });
+    }
+
+    if (input.artProvider !== undefined) {
+        if (input.artProvider === 'auto' || artProviders.includes(input.artProvider)) next.artProvider = input.artProvider;
+        else errors.push({ field: 'artProvider', rule: 'unknown_art_provider', params: { value: String(input.artProvider) } });
+    }
+
+    if (input.spectatorChat !== undefined) {
+        if (SPECTATOR_CHAT_MODES.includes(input.spectatorChat)) next.spectatorChat = input.spectatorChat;
+        else errors.push({ field: 'spectatorChat', rule: 'one_of', params: { values: SPECTATOR_CHAT_MODES } });
+    }
+
+    if (input.chatBlockedPhases !== undefined) {
+        const phases = Object.values(PHASE);
+        if (Array.isArray(input.chatBlockedPhases) && input.chatBlockedPhases.every(p => phases.includes(p))) {
+            next.chatBlockedPhases = [...new Set(input.chatBlockedPhases)];
+        } else {
+            errors.push({ field: 'chatBlockedPhases', rule: 'phase_list', params: { values: phases } });
+        }
+    }
+
+    if (input.impostorWhisper !== undefined) {
+        if (typeof input.impostorWhisper === 'boolean') next.impostorWhisper = input.impostorWhisper;
+        else errors.push({ field: 'impostorWhisper', rule: 'type_boolean', params: {} });
+    }
+
+    if (input.wordRules !== undefined) {
+        const rules = input.wordRules;
+        if (!rules || typeof rules !== 'object') {
+            errors.push({ field: 'wordRules', rule: 'type_object', params: {} });
+        } else {
+            if (rules.maxLength !== undefined) {
+                const value = checkRange(errors, 'wordRules.maxLength', rules.maxLength, WORD_MAX_LENGTH_LIMITS);
+                if (value !== undefined) next.wordRules.maxLength = value;
+            }
+            ['singleWord', 'uniqueWords', 'blockThemeWords'].forEach(key => {
+                if (rules[key] === undefined) return;
+                if (typeof rules[key] === 'boolean') next.wordRules[key] = rules[key];
+                else errors.push({ field: `wordRules.${key}`, rule: 'type_boolean', params: {} });
+            });
+        }
+    }
+
+    if (input.scoring !== undefined) {
+        if (!input.scoring || typeof input.scoring !== 'object') {
+            errors.push({ field: 'scoring', rule: 'type_object', params: {} });
+        } else {
+            Object.keys(SCORING_LIMITS).forEach(key => {
+                if (input.scoring[key] === undefined) return;
+                const value = checkRange(errors, `scoring.${key}`, input.scoring[key], SCORING_LIMITS[key]);
+                if (value !== undefined) next.scoring[key] = value;
+            });
+        }
+    }
+
+    if (input.timers !== undefined) {
+        if (!input.timers || typeof input.timers !== 'object') {
+            errors.push({ field: 'timers', rule: 'type_object', params: {} });
+        } else {
+            Object.keys(TIMER_LIMITS).forEach(key => {
+                if (input.timers[key] === undefined) return;
+                const value = checkRange(errors, `timers.${key}`, input.timers[key], TIMER_LIMITS[key]);
+                if (value !== undefined) next.timers[key] = value;
+            });
+        }
+    }
+
+    return errors.length ? { settings: null, errors } : { settings: next, errors };
+};
+
+// Settings saved by an older version (restored rooms) miss the fields added since
+const withDefaultSettings = (settings = {}) => ({
+    ...DEFAULT_ROOM_SETTINGS,
+    ...settings,
+    wordRules: { ...DEFAULT_WORD_RULES, ...settings.wordRules },
+    scoring: { ...DEFAULT_SCORING, ...settings.scoring },
+    timers: { ...DEFAULT_TIMERS, ...settings.timers }
+});
+
+module.exports = {
+    DEFAULT_ROOM_SETTINGS,
+    TIE_FALLBACKS,
+    GAME_MODES,
+    validateRoomSettings,
+    withDefaultSettings
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Room Store ---
+// Rooms are snapshotted to storage so a deploy or crash doesn't wipe every
+// lobby and match in progress. Writes are coalesced per room, so saving on
+// every transition stays cheap.
+
+const SAVE_DELAY = 200; // ms; saves of the same room within this window are merged
+const ROOM_FILE_PATTERN = /^[A-Z0-9]+\.json$/;
+
+// Rooms hold plain data only; their timers live in the scheduler and are
+// rebuilt from state.endsAt on restore
+const serializeRoom = (room) => JSON.stringify(room);
+
+// One JSON file per room; written to a temp file first so a crash never leaves half a file
+const createFileBackend = (dir) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const fileFor = (code) => path.join(dir, `${code}.json`);
+
+    return {
+        write: (code, json) => {
+            fs.writeFileSync(`${fileFor(code)}.tmp`, json);
+            fs.renameSync(`${fileFor(code)}.tmp`, fileFor(code));
+        },
+        remove: (code) => fs.rmSync(fileFor(code), { force: true }),
+        readAll: () => fs.readdirSync(dir)
+            .filter(f => ROOM_FILE_PATTERN.test(f))
+            .map(f => fs.readFileSync(path.join(dir, f), 'utf8'))
+    };
+};
+
+// Keeps nothing across restarts; for local runs without a writable disk
+const createMemoryBackend = () => {
+    const data = new Map();
+    return {
+        write: (code, json) => data.set(code, json),
+        remove: (code) => data.delete(code),
+        readAll: () => [...data.values()]
+    };
+};
+
+/**
+ * options.backend: 'file' (default) or 'memory'
+ * options.dir: directory for the file backend
+ */
+const createRoomStore = ({ backend = 'file', dir } = {}) => {
+    const store = backend === 'memory' ? createMemoryBackend() : createFileBackend(dir);
+    const pending = new Map(); // code -> { room, timer }
+
+    const saveNow = (room) => {
+        const queued = pending.get(room.code);
+        if (queued) clearTimeout(queued.timer);
+        pending.delete(room.code);
+        try {
+            store.write(room.code, serializeRoom(room));
+        } catch (err) {
+            console.error(`[RoomStore] Could not save room ${room.code}:`, err.message);
+        }
+    };
+
+    const save = (room) => {
+        if (pending.has(room.code)) return;
+        const timer = setTimeout(() => saveNow(room), SAVE_DELAY);
+        if (timer.unref) timer.unref();
+        pending.set(room.code, { room, timer });
+    };
+
+    const remove = (code) => {
+        const queued = pending.get(code);
+        if (queued) clearTimeout(queued.timer);
+        pending.delete(code);
+        try {
+            store.remove(code);
+        } catch (err) {
+            console.error(`[RoomStore] Could not remove room ${code}:`, err.message);
+        }
+    };
+
+    // Write out everything still waiting (shutdown)
+    const flush = () => [...pending.values()].forEach(({ room }) => saveNow(room));
+
+    const loadAll = () => {
+        let raw = [];
+        try {
+            raw = store.readAll();
+        } catch (err) {
+            console.error('[RoomStore] Could not read stored rooms:', err.message);
+        }
+        return raw.map(json => {
+            try {
+                return JSON.parse(json);
+            } catch (err) {
+                console.error('[RoomStore] Skipping unreadable room snapshot:', err.message);
+                return null;
+            }
+        }).filter(room => room && room.code && Array.isArray(room.players) && room.state);
+    };
+
+    return { save, saveNow, remove, flush, loadAll };
+};
+
+module.exports = { createRoomStore, serializeRoom };
@@ -0,0 +1,88 @@
+// --- Scheduler ---
+// One timer for the whole server. Each job has an absolute deadline and the
+// scheduler only wakes up for the nearest one, so rooms no longer tick every
+// second. A paused job keeps its remaining time until it is resumed.
+
+const MAX_TIMEOUT = 2 ** 31 - 1; // setTimeout limit
+
+/**
+ * options.now: injectable clock for tests
+ */
+const createScheduler = ({ now = Date.now } = {}) => {
+    const jobs = new Map(); // key -> { run, endsAt, paused, remaining }
+    let timer = null;
+
+    const arm = () => {
+        if (timer) clearTimeout(timer);
+        timer = null;
+
+        let next = Infinity;
+        jobs.forEach(job => { if (!job.paused && job.endsAt < next) next = job.endsAt; });
+        if (next === Infinity) return;
+        timer = setTimeout(tick, Math.min(MAX_TIMEOUT, Math.max(0, next - now())));
+    };
+
+    // Jobs are removed before they run, so a job may schedule its successor under the same key
+    const tick = () => {
+        timer = null;
+        const due = [...jobs].filter(([, job]) => !job.paused && job.endsAt <= now());
+        due.forEach(([key]) => jobs.delete(key));
+        due.forEach(([key, job]) => {
+            try {
+                job.run();
+            } catch (err) {
+                console.error(`[Scheduler] Job ${key} failed:`, err);
+            }
+        });
+        arm();
+    };
+
+    const schedule = (key, endsAt, run) => {
+        jobs.set(key, { run, endsAt, paused: false, remaining: null });
+        arm();
+        return endsAt;
+    };
+
+    const cancel = (key) => {
+        if (!jobs.delete(key)) return false;
+        arm();
+        return true;
+    };
+
+    // Returns the remaining milliseconds, or null when there is nothing to pause
+    const pause = (key) => {
+        const job = jobs.get(key);
+        if (!job || job.paused) return null;
+        job.paused = true;
+        job.remaining = Math.max(0, job.endsAt - now());
+        job.endsAt = null;
+        arm();
+        return job.remaining;
+    };
+
+    // Returns the new deadline, or null when the job isn't paused
+    const resume = (key) => {
+        const job = jobs.get(key);
+        if (!job || !job.paused) return null;
+        job.paused = false;
+        job.endsAt = now() + job.remaining;
+        job.remaining = null;
+        arm();
+        return job.endsAt;
+    };
+
+    const get = (key) => {
+        const job = jobs.get(key);
+        return job ? { endsAt: job.endsAt, paused: job.paused, remaining: job.remaining } : null;
+    };
+
+    // Drops every job (shutdown)
+    const stop = () => {
+        jobs.clear();
+        arm();
+    };
+
+    return { schedule, cancel, pause, resume, get, stop, size: () => jobs.size };
+};
+
+module.exports = { createScheduler };
@@ -0,0 +1,86 @@
+// --- Scoring ---
+// Who gets how many points, from the room's ruleset (settings.scoring) and
+// what happened in the round. Nothing here touches a score: every function
+// returns awards, { playerId, rule, points, params }, which index.js applies
+// and lists in the round's score breakdown.
+
+const award = (playerId, rule, points, params = {}) => ({ playerId, rule, points, params });
+
+/**
+ * One decisive vote: a vote that settled something, not a tie sent to a runoff.
+ * votes: { voterId: targetId }; caughtId: the impostor this vote caught, if any
+ * Innocents earn for catching an impostor and (or lose, with a negative rule)
+ * for accusing another innocent. Suspecting one who got away is only known
+ * at the end of the round, see scoreRoundEnd.
+ */
+const scoreVote = (rules, { players, votes, caughtId = null }) => {
+    const roleOf = (id) => players.find(p => p.id === id)?.role || null;
+    const awards = [];
+    Object.entries(votes).forEach(([voterId, targetId]) => {
+        if (roleOf(voterId) !== 'innocent') return; // Impostors' votes are tactics, not guesses
+        if (caughtId && targetId === caughtId) awards.push(award(voterId, 'correctVote', rules.correctVote));
+        else if (roleOf(targetId) === 'innocent') awards.push(award(voterId, 'wrongAccusation', rules.wrongAccusation));
+    });
+    return awards;
+};
+
+// Votes per target in one vote
+const countVotes = (votes) => {
+    const counts = {};
+    Object.values(votes).forEach(targetId => { counts[targetId] = (counts[targetId] || 0) + 1; });
+    return counts;
+};
+
+/**
+ * End of the round, after every vote.
+ * passes: the round's decisive votes in order ({ votes } as for scoreVote)
+ * draw: a tied runoff with the 'none' fallback; nobody escapes then
+ * Escaped impostors earn the escape reward (less per vote they got in the last
+ * vote) and a bonus when that vote came close; innocents who voted for one of
+ * them in any vote earn for the suspicion, once per escaped impostor; innocents
+ * nobody ever voted for earn for their convincing clues.
+ */
+const scoreRoundEnd = (rules, { players, passes, draw = false }) => {
+    const awards = [];
+    const inRound = players.filter(p => p.role);
+    const last = countVotes(passes.length ? passes[passes.length - 1].votes : {});
+    const top = Math.max(0, ...Object.values(last));
+
+    if (!draw) {
+        inRound.filter(p => p.role === 'impostor' && !p.isCaught).forEach(p => {
+            awards.push(award(p.id, 'escape', rules.escape + rules.escapePerPlayer * players.length, { players: players.length }));
+            const votes = last[p.id] || 0;
+            if (votes > 0 && rules.escapeVotePenalty) awards.push(award(p.id, 'escapeVotes', -votes * rules.escapeVotePenalty, { votes }));
+            if (votes > 0 && top - votes <= rules.closeCallMargin) awards.push(award(p.id, 'closeCall', rules.closeCall, { votes, margin: top - votes }));
+
+            const suspects = new Set(passes.flatMap(pass => Object.keys(pass.votes).filter(voterId => pass.votes[voterId] === p.id)));
+            inRound.filter(voter => voter.role === 'innocent' && suspects.has(voter.id))
+                .forEach(voter => awards.push(award(voter.id, 'suspicion', rules.suspicion)));
+        });
+    }
+
+    const accused = new Set(passes.flatMap(pass => Object.values(pass.votes)));
+    inRound.filter(p => p.role === 'innocent' && p.words.length && !accused.has(p.id))
+        .forEach(p => awards.push(award(p.id, 'trustedClue', rules.trustedClue)));
+    return awards;
+};
+
+/**
+ * A caught impostor guessed right: part of what each of its voters earned for
+ * the catch goes to the impostor. scoreOf(id) caps the steal at what the voter has.
+ */
+const scoreGuess = (rules, { impostorId, voterIds, scoreOf }) => {
+    const steal = Math.floor(rules.correctVote * rules.guessSteal / 100);
+    const awards = [];
+    let stolen = 0;
+    voterIds.forEach(voterId => {
+        const amount = Math.min(steal, Math.max(0, scoreOf(voterId)));
+        if (!amount) return;
+        stolen += amount;
+        awards.push(award(voterId, 'guessStolen', -amount));
+    });
+    if (stolen) awards.push(award(impostorId, 'guessSteal', stolen));
+    return { awards, stolen };
+};
+
+module.exports = { scoreVote, scoreRoundEnd, scoreGuess };
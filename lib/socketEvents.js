@@ -0,0 +1,177 @@
+// --- Socket Events ---
+// Every client event is checked against its schema before a handler runs.
+// Unknown fields are dropped and a bad field rejects the whole event.
+// `access` says who may send it: 'player' (a player of the room), 'member'
+// (player or spectator); the room is the one named in the payload or,
+// without one, the room the socket is in.
+
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{4,8}$/;
+const SOCKET_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const INVITE_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+const INVITE_MAX_TTL = 7 * 24 * 60 * 60; // Seconds
+
+// Errors carry a rule code and params; the text comes from the locale catalog
+// ("validation.<rule>" in data/locales)
+const invalid = (field, rule, params = {}) => ({ error: { field, rule, params } });
+
+// Shared missing/optional handling for every field type
+const field = (check, { optional = false, default: fallback } = {}) => (value, name) => {
+    if (value === undefined || value === null) {
+        return optional ? { value: fallback } : invalid(name, 'required');
+    }
+    return check(value, name);
+};
+
+const string = ({ min = 1, max = 200, pattern, upperCase = false, ...options } = {}) => field((value, name) => {
+    if (typeof value !== 'string') return invalid(name, 'type_string');
+    const text = upperCase ? value.trim().toUpperCase() : value.trim();
+    const length = [...text].length;
+    if (length < min || length > max) return invalid(name, 'length', { min, max });
+    if (pattern && !pattern.test(text)) return invalid(name, 'pattern');
+    return { value: text };
+}, options);
+
+const boolean = (options) => field((value, name) => typeof value === 'boolean'
+    ? { value }
+    : invalid(name, 'type_boolean'), options);
+
+const object = (options) => field((value, name) => typeof value === 'object' && !Array.isArray(value)
+    ? { value }
+    : invalid(name, 'type_object'), options);
+
+const integer = ({ min, max, ...options }) => field((value, name) => Number.isInteger(value) && value >= min && value <= max
+    ? { value }
+    : invalid(name, 'range', { min, max }), options);
+
+const oneOf = (values, options) => field((value, name) => values.includes(value)
+    ? { value }
+    : invalid(name, 'one_of', { values }), options);
+
+// Passed through untouched; checked further down (e.g. by validateRoomSettings)
+const any = () => (value) => ({ value });
+
+const roomCode = (options) => string({ min: 4, max: 8, pattern: ROOM_CODE_PATTERN, upperCase: true, ...options });
+const socketId = (options) => string({ max: 64, pattern: SOCKET_ID_PATTERN, ...options });
+const username = () => string({ max: 24, pattern: /^[^\u0000-\u001f\u007f]+$/ });
+// Language tag or Accept-Language style list; unknown ones fall back to the default locale
+const locale = (options) => string({ max: 64, pattern: /^[A-Za-z0-9_,;=.\s-]+$/, ...options });
+// Empty means no password
+const password = () => string({ min: 0, max: 64, optional: true, default: '' });
+const invite = (options) => string({ max: 512, pattern: INVITE_PATTERN, ...options });
+
+const EVENT_SCHEMAS = {
+    create_room: {
+        fields: {
+            username: username(),
+            locale: locale({ optional: true }),
+            isPublic: boolean({ optional: true, default: true }),
+            password: password(),
+            settings: object({ optional: true, default: {} }),
+            // Top-level settings from older clients
+            rounds: any(),
+            impostorCount: any(),
+            tieFallback: any(),
+            artProvider: any()
+        }
+    },
+    join_room: {
+        fields: {
+            username: username(),
+            // Optional with an invite, which names the room itself
+            room: roomCode({ optional: true }),
+            password: password(),
+            invite: invite({ optional: true }),
+            join_as_spectator: boolean({ optional: true, default: false }),
+            asSpectator: boolean({ optional: true, default: false }), // Same as join_as_spectator
+            locale: locale({ optional: true })
+        }
+    },
+    resume_session: { fields: { room: roomCode(), token: string({ max: 128 }), locale: locale({ optional: true }) } },
+    set_locale: { fields: { locale: locale() } },
+    request_snapshot: { fields: {} },
+    get_public_rooms: { fields: {} },
+    get_art_providers: { fields: {} },
+    get_word_packs: { fields: {} },
+    update_settings: { access: 'player', fields: { room: roomCode({ optional: true }), settings: object() } },
+    start_game: { access: 'player', fields: { room: roomCode({ optional: true }) } },
+    promote_spectator: { access: 'player', fields: { room: roomCode({ optional: true }), targetId: socketId() } },
+    kick_player: { access: 'player', fields: { room: roomCode({ optional: true }), targetId: socketId() } },
+    add_bot: { access: 'player', fields: { room: roomCode({ optional: true }) } },
+    create_invite: {
+        access: 'player',
+        fields: { room: roomCode({ optional: true }), ttlSeconds: integer({ min: 60, max: INVITE_MAX_TTL, optional: true }) }
+    },
+    // Only bounds the payload; the room's word rules (lib/wordRules.js) set the real limit
+    submit_word: { access: 'player', fields: { room: roomCode({ optional: true }), word: string({ max: 200 }) } },
+    submit_vote: { access: 'player', fields: { room: roomCode({ optional: true }), targetId: socketId() } },
+    submit_impostor_guess: { access: 'player', fields: { room: roomCode({ optional: true }), optionId: string({ max: 64 }) } },
+    skip_discussion: { access: 'player', fields: { room: roomCode({ optional: true }) } },
+    pause_game: { access: 'player', fields: { room: roomCode({ optional: true }) } },
+    resume_game: { access: 'player', fields: { room: roomCode({ optional: true }) } },
+    skip_match_end: { access: 'player', fields: { room: roomCode({ optional: true }) } },
+    toggle_ready: { access: 'player', fields: { room: roomCode({ optional: true }) } },
+    chat_message: {
+        access: 'member',
+        fields: {
+            room: roomCode({ optional: true }),
+            // Length and content rules live in lib/chat.js; this only bounds the payload
+            message: field((value, name) => typeof value === 'string' ? { value } : invalid(name, 'type_string')),
+            channel: oneOf(['room', 'impostors'], { optional: true, default: 'room' })
+        }
+    },
+    mute_player: {
+        access: 'player',
+        fields: { room: roomCode({ optional: true }), targetId: socketId(), muted: boolean({ optional: true, default: true }) }
+    },
+    admin_skip_phase: { fields: { room: roomCode(), password: string({ max: 256 }) } }
+};
+
+/**
+ * Returns { value } with only the schema's fields, or { error: { field, rule, params } }.
+ * Events without a schema are rejected.
+ */
+const validateEvent = (event, payload) => {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) return invalid(null, 'unknown_event', { event });
+
+    const input = payload === undefined || payload === null ? {} : payload;
+    if (typeof input !== 'object' || Array.isArray(input)) return invalid(null, 'bad_payload');
+
+    const value = {};
+    for (const [name, check] of Object.entries(schema.fields)) {
+        const result = check(input[name], name);
+        if (result.error) return result;
+        if (result.value !== undefined) value[name] = result.value;
+    }
+    return { value };
+};
+
+/**
+ * One reply per event. With an ack callback the client gets
+ * { ok: true, ... } or { ok: false, error: { code, params, message, ... } };
+ * older clients without acks get the error as an event instead
+ * ('error' unless the handler names another one).
+ * describe(code, params) returns the message in the recipient's language.
+ */
+const createReply = (socket, ack, describe = (code) => code) => {
+    let sent = false;
+    const send = (response) => {
+        if (sent) return;
+        sent = true;
+        if (ack) ack(response);
+    };
+
+    return {
+        ok: (data = {}) => send({ ok: true, ...data }),
+        error: (code, params = {}, extra = {}, fallbackEvent = 'error') => {
+            if (sent) return;
+            const error = { code, params, message: describe(code, params), ...extra };
+            if (!ack) socket.emit(fallbackEvent, error);
+            send({ ok: false, error });
+        },
+        // Called after the handler; acks success unless the handler already replied
+        done: () => send({ ok: true })
+    };
+};
+
+module.exports = { EVENT_SCHEMAS, validateEvent, createReply };
@@ -0,0 +1,12 @@
+// --- Turkish Text Helpers ---
+// Plain toLowerCase() gets Turkish wrong ("I" -> "i" instead of "ı", "İ" -> "i̇"),
+// so text that is compared or matched goes through these first.
+
+const ASCII_FOLD = { 'ı': 'i', 'ş': 's', 'ğ': 'g', 'ü': 'u', 'ö': 'o', 'ç': 'c', 'â': 'a', 'î': 'i', 'û': 'u' };
+
+const lowerTurkish = (text) => String(text).toLocaleLowerCase('tr-TR');
+
+// Lowercase and fold Turkish letters to ASCII, so "Şeker", "SEKER" and "şeker" compare equal
+const normalizeTurkish = (text) => lowerTurkish(text).replace(/[ışğüöçâîû]/g, ch => ASCII_FOLD[ch]);
+
+module.exports = { lowerTurkish, normalizeTurkish };
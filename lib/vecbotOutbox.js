@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Vecbot Outbox ---
+// Notifications for the Vecbot PHP API are written to disk first and delivered
+// in the background with exponential backoff, so a win is never lost when the
+// API is down. Every request is HMAC-signed over "<timestamp>.<body>" and
+// carries an idempotency key, so the receiver can reject replays and duplicates.
+
+const SIGNATURE_HEADER = 'x-sq-signature';
+const TIMESTAMP_HEADER = 'x-sq-timestamp';
+const IDEMPOTENCY_HEADER = 'x-idempotency-key';
+const REQUEST_TIMEOUT = 10000;
+const KEEP_DELIVERED = 200; // Delivered entries kept around for the admin view
+
+const signBody = (secret, timestamp, body) =>
+    'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Receiver-side check, mirrored by php-api. Rejects bad signatures and
+ * timestamps outside the tolerance window (replays of old requests).
+ */
+const verifySignature = (secret, { timestamp, signature, body, toleranceSec = 300, now = Date.now() }) => {
+    const ts = Number(timestamp);
+    if (!secret || !Number.isFinite(ts) || Math.abs(now / 1000 - ts) > toleranceSec) return false;
+    const expected = Buffer.from(signBody(secret, ts, body));
+    const given = Buffer.from(String(signature || ''));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * options.baseUrl: Vecbot API base, paths are appended to it
+ * options.secret: HMAC secret; without it entries are kept but not sent
+ * options.file: JSON file the outbox lives in (memory only when null)
+ * options.fetchImpl: injectable for tests against a stub server
+ */
+const createVecbotOutbox = ({
+    baseUrl,
+    secret,
+    file = null,
+    fetchImpl = fetch,
+    maxAttempts = 8,
+    baseDelayMs = 5000,
+    maxDelayMs = 15 * 60 * 1000,
+    legacySecretHeader = false
+}) => {
+    let entries = [];
+    let timer = null;
+    let running = false;
+    let processing = false;
+
+    if (file) {
+        try {
+            entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error('[Outbox] Could not read outbox file:', err.message);
+        }
+    }
+
+    // Write to a temp file first so a crash never leaves half a JSON file
+    const persist = () => {
+        if (!file) return;
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(entries, null, 2));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (err) {
+            console.error('[Outbox] Could not write outbox file:', err.message);
+        }
+    };
+
+    const backoff = (attempts) => {
+        const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+        return delay / 2 + Math.random() * delay / 2; // Jitter
+    };
+
+    const send = async (entry) => {
+        const body = JSON.stringify(entry.body);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            [TIMESTAMP_HEADER]: String(timestamp),
+            [SIGNATURE_HEADER]: signBody(secret, timestamp, body),
+            [IDEMPOTENCY_HEADER]: entry.key
+        };
+        if (legacySecretHeader) headers['x-game-secret'] = secret;
+
+        const resp = await fetchImpl(`${baseUrl}${entry.path}`, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+        });
+        const text = await resp.text();
+        // 409: the receiver already has this idempotency key, i.e. delivered earlier
+        if (!resp.ok && resp.status !== 409) throw new Error(`HTTP ${resp.status}: ${text.slice(0, 200)}`);
+        return text;
+    };
+
+    const prune = () => {
+        const delivered = entries.filter(e => e.status === 'delivered');
+        if (delivered.length <= KEEP_DELIVERED) return;
+        const drop = new Set(delivered.slice(0, delivered.length - KEEP_DELIVERED).map(e => e.key));
+        entries = entries.filter(e => !drop.has(e.key));
+    };
+
+    const schedule = () => {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        if (!running || !secret) return;
+
+        const pending = entries.filter(e => e.status === 'pending');
+        if (!pending.length) return;
+        const next = Math.min(...pending.map(e => e.nextAttemptAt));
+        timer = setTimeout(flush, Math.max(0, next - Date.now()));
+        if (timer.unref) timer.unref();
+    };
+
+    // Deliver every due entry, one at a time
+    const flush = async () => {
+        if (processing) return;
+        if (!secret) {
+            console.error('[Outbox] SKETCHQUEST_GAME_SECRET is not set; notifications are queued but not sent.');
+            return;
+        }
+        processing = true;
+        try {
+            const due = entries.filter(e => e.status === 'pending' && e.nextAttemptAt <= Date.now());
+            for (const entry of due) {
+                entry.attempts++;
+                entry.lastAttemptAt = Date.now();
+                try {
+                    await send(entry);
+                    entry.status = 'delivered';
+                    entry.deliveredAt = Date.now();
+                    entry.lastError = null;
+                    console.log(`[Outbox] Delivered ${entry.key} (attempt ${entry.attempts})`);
+                } catch (err) {
+                    entry.lastError = err.message;
+                    if (entry.attempts >= maxAttempts) {
+                        entry.status = 'failed';
+                        console.error(`[Outbox] Giving up on ${entry.key} after ${entry.attempts} attempts:`, err.message);
+                    } else {
+                        entry.nextAttemptAt = Date.now() + backoff(entry.attempts);
+                        console.error(`[Outbox] ${entry.key} failed (attempt ${entry.attempts}), retrying later:`, err.message);
+                    }
+                }
+                persist();
+            }
+            prune();
+            persist();
+        } finally {
+            processing = false;
+            schedule();
+        }
+    };
+
+    // Same key twice (same match + same user) is only ever queued once
+    const enqueue = ({ key, path: urlPath, body }) => {
+        if (entries.some(e => e.key === key)) return false;
+        entries.push({
+            key,
+            path: urlPath,
+            body,
+            status: 'pending',
+            attempts: 0,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now(),
+            lastError: null
+        });
+        persist();
+        if (running) flush();
+        return true;
+    };
+
+    // Put a failed entry back in the queue (admin action)
+    const retry = (key) => {
+        const entry = entries.find(e => e.key === key);
+        if (!entry || entry.status === 'delivered') return false;
+        entry.status = 'pending';
+        entry.attempts = 0;
+        entry.nextAttemptAt = Date.now();
+        persist();
+        if (running) flush();
+        return true;
+    };
+
+    const list = ({ status } = {}) => entries
+        .filter(e => !status || e.status === status)
+        .map(e => ({ ...e }));
+
+    const start = () => {
+        running = true;
+        schedule();
+    };
+
+    const stop = () => {
+        running = false;
+        if (timer) clearTimeout(timer);
+        timer = null;
+    };
+
+    return { enqueue, retry, list, flush, start, stop };
+};
+
+module.exports = {
+    createVecbotOutbox,
+    signBody,
+    verifySignature,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    IDEMPOTENCY_HEADER
+};
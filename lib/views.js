@@ -0,0 +1,291 @@
+const { PHASE } = require('./constants');
+
+// --- View Layer ---
+// Every payload that describes a room is built here, per recipient and per
+// phase. Only whitelisted fields ever leave the server: roles are visible to
+// their owner only, votes stay hidden until the results are in.
+
+const PLAYER_FIELDS = ['id', 'username', 'score', 'isReady', 'isOffline', 'isCaught', 'hasSkippedDiscussion', 'hasSkipped', 'isMuted', 'isBot'];
+const SPECTATOR_FIELDS = ['id', 'username', 'isMuted'];
+const GUESS_OPTION_FIELDS = ['id', 'label', 'imageUrl'];
+const ROUND_INFO_FIELDS = ['imageUrl', 'word', 'category'];
+
+// Round results (game_over, lastResults), field by field down to the score breakdown
+const RESULT_FIELDS = ['winner', 'messageCode', 'messageParams', 'impostorName', 'impostors', 'eliminated', 'impostorGuess', 'mode', 'images', 'words', 'scores'];
+const MESSAGE_PARAM_FIELDS = ['impostorName', 'caught', 'escaped'];
+const RESULT_IMPOSTOR_FIELDS = ['id', 'username', 'caught'];
+const ELIMINATED_FIELDS = ['id', 'username', 'role'];
+const GUESS_RESULT_FIELDS = ['id', 'username', 'guessId', 'correct', 'stolen'];
+const REVEALED_IMAGE_FIELDS = ['innocent', 'impostor', 'theme'];
+const REVEALED_WORD_FIELDS = ['category', 'innocent', 'impostor'];
+const SCORE_FIELDS = ['id', 'username', 'points', 'score'];
+const BREAKDOWN_FIELDS = ['rule', 'points', 'params'];
+
+// Phases in which everybody may see who voted for whom
+const VOTES_REVEALED_PHASES = [PHASE.RESULTS, PHASE.MATCH_END];
+
+const pick = (source, fields) => {
+    const out = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) out[field] = source[field];
+    });
+    return out;
+};
+
+// pick for values that may be missing or null
+const pickOrNull = (source, fields) => source ? pick(source, fields) : null;
+
+const guessOptions = (options) => (options || []).map(opt => pick(opt, GUESS_OPTION_FIELDS));
+
+const isInRound = (room) => room.state.phase !== PHASE.LOBBY && room.state.phase !== PHASE.MATCH_END;
+
+const getWriterId = (room) => room.state.turnOrder ? room.state.turnOrder[room.state.turnIndex] || null : null;
+
+/**
+ * deps.isValidVoteTarget(room, targetId): game rule deciding who can be voted right now
+ * deps.translate(viewerId, key, params): catalog text in the viewer's language
+ * deps.roundInfo(room, player): the player's private round material for the
+ *   room's game mode ({ imageUrl } or { word, category }), null between rounds
+ */
+const createViews = ({ isValidVoteTarget, translate, roundInfo }) => {
+    const player = (room, p, viewerId) => {
+        const isSelf = p.id === viewerId;
+        const votesRevealed = VOTES_REVEALED_PHASES.includes(room.state.phase);
+        return {
+            ...pick(p, PLAYER_FIELDS),
+            isOwner: room.ownerId === p.id,
+            // 'active' is truthy, so the client filter still works
+            role: p.role ? (isSelf && isInRound(room) ? p.role : 'active') : null,
+            hasVoted: !!p.vote,
+            vote: isSelf || votesRevealed ? p.vote || null : null
+        };
+    };
+
+    const playerList = (room, viewerId) => room.players.map(p => player(room, p, viewerId));
+
+    const spectatorList = (room) => room.spectators.map(s => pick(s, SPECTATOR_FIELDS));
+
+    // Words of the running round, lap by lap in writing order
+    const wordsByLap = (room) => {
+        const lapCount = (room.state.lap || 0) + 1;
+        const order = room.state.turnOrder || [];
+        const writers = [...room.players].sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+        return Array.from({ length: lapCount }, (_, lap) => writers
+            .map(p => ({ username: p.username, word: (p.words || []).find(w => w.lap === lap)?.word }))
+            .filter(entry => entry.word));
+    };
+
+    // Flat list for older clients, each word tagged with its lap
+    const words = (room) => wordsByLap(room).flatMap((list, lap) => list.map(entry => ({ ...entry, lap })));
+
+    // Clients count down from endsAt themselves; serverTime lets them correct clock skew
+    const timer = (room) => {
+        const { endsAt, paused, pausedRemaining } = room.state;
+        const remainingMs = paused ? pausedRemaining || 0 : endsAt ? Math.max(0, endsAt - Date.now()) : 0;
+        return {
+            timer: Math.ceil(remainingMs / 1000),
+            endsAt: paused ? null : endsAt || null,
+            paused: !!paused,
+            remainingMs,
+            serverTime: Date.now()
+        };
+    };
+
+    const gameState = (room) => {
+        const writerId = getWriterId(room);
+        return {
+            phase: room.state.phase,
+            ...timer(room),
+            currentRound: room.state.currentRound,
+            totalRounds: room.settings.rounds, // Send total rounds too
+            totalLaps: room.settings.laps,
+            // Send specific turn info
+            turn: {
+                writerId,
+                writerName: writerId ? room.players.find(p => p.id === writerId)?.username || null : null,
+                lap: room.state.lap || 0
+            },
+            words: words(room),
+            wordsByLap: wordsByLap(room),
+            runoff: room.state.phase === PHASE.VOTING ? room.state.runoff || null : null
+        };
+    };
+
+    // The recipient's own private view: role, image, vote, guess options
+    const me = (room, viewerId) => {
+        const self = room.players.find(p => p.id === viewerId);
+        if (self) {
+            const inRound = isInRound(room);
+            const info = self.role && inRound ? roundInfo(room, self) : null;
+            return {
+                id: self.id,
+                username: self.username,
+                isOwner: room.ownerId === self.id,
+                role: inRound ? self.role : null,
+                mode: room.settings.gameMode,
+                imageUrl: info?.imageUrl || null,
+                word: info?.word || null,
+                category: info?.category || null,
+                vote: self.vote || null,
+                score: self.score,
+                guessOptions: room.state.phase === PHASE.IMPOSTOR_GUESS && self.isCaught && room.state.impostorGuess
+                    ? guessOptions(room.state.impostorGuess.options)
+                    : null,
+                isSpectator: false
+            };
+        }
+
+        const spectator = room.spectators.find(s => s.id === viewerId);
+        if (!spectator) return null;
+        return {
+            id: spectator.id,
+            username: spectator.username,
+            isOwner: false,
+            role: null,
+            mode: room.settings.gameMode,
+            imageUrl: null,
+            word: null,
+            category: null,
+            vote: null,
+            score: 0,
+            guessOptions: null,
+            isSpectator: true
+        };
+    };
+
+    // Round results with the outcome message in the viewer's language
+    const results = (room, viewerId) => {
+        const last = room.state.lastResults;
+        if (!last) return null;
+        const guess = last.impostorGuess;
+        const out = {
+            ...pick(last, RESULT_FIELDS),
+            messageParams: pickOrNull(last.messageParams, MESSAGE_PARAM_FIELDS),
+            impostors: (last.impostors || []).map(p => pick(p, RESULT_IMPOSTOR_FIELDS)),
+            eliminated: pickOrNull(last.eliminated, ELIMINATED_FIELDS),
+            impostorGuess: guess ? {
+                kind: guess.kind,
+                options: guessOptions(guess.options),
+                answerId: guess.answerId,
+                results: (guess.results || []).map(entry => pick(entry, GUESS_RESULT_FIELDS))
+            } : null,
+            images: pickOrNull(last.images, REVEALED_IMAGE_FIELDS),
+            // Each breakdown entry gets a line the client can show as is
+            scores: (last.scores || []).map(entry => ({
+                ...pick(entry, SCORE_FIELDS),
+                breakdown: (entry.breakdown || []).map(item => ({
+                    ...pick(item, BREAKDOWN_FIELDS),
+                    label: translate(viewerId, `scoring.${item.rule}`, item.params)
+                }))
+            }))
+        };
+        if (last.words !== undefined) out.words = pickOrNull(last.words, REVEALED_WORD_FIELDS);
+        // Snapshots from before message codes have no message to translate
+        if (last.messageCode) out.message = translate(viewerId, `messages.${last.messageCode}`, last.messageParams);
+        return out;
+    };
+
+    // round_init: the player's role and private round material
+    const roundInit = (room, p) => ({
+        role: p.role,
+        mode: room.settings.gameMode,
+        ...pick(roundInfo(room, p) || {}, ROUND_INFO_FIELDS)
+    });
+
+    // impostor_guess_options: what a caught impostor may pick from; never the answer
+    const impostorGuessOptions = (room) => {
+        const guess = room.state.impostorGuess;
+        return guess ? { kind: guess.kind, options: guessOptions(guess.options) } : null;
+    };
+
+    // runoff_started: the tied candidates, SKIP_VOTE included with no name
+    const runoff = (room, candidates, skipId) => ({
+        candidates: candidates.map(id => id === skipId
+            ? { id: skipId, username: null }
+            : { id, username: room.players.find(p => p.id === id)?.username })
+    });
+
+    // promoted_to_player: sent to the promoted spectator only, with their new session token
+    const promotedToPlayer = (room, p) => ({ room: room.code, user: p.username, sessionToken: p.sessionToken });
+
+    // One entry of the public room list; unknownOwner is the localized fallback name
+    const publicRoom = (room, { unknownOwner }) => {
+        const owner = room.players.find(p => p.id === room.ownerId);
+        return {
+            code: room.code,
+            playerCount: room.players.length,
+            spectatorCount: room.spectators.length,
+            maxPlayers: room.settings.maxPlayers,
+            isPublic: true,
+            hasPassword: !!room.passwordHash,
+            ownerName: owner ? owner.username : unknownOwner,
+            phase: room.state.phase,
+            settings: { ...room.settings }
+        };
+    };
+
+    const settings = (room) => ({ ...room.settings, isPublic: room.isPublic, hasPassword: !!room.passwordHash });
+
+    // Everything a single client needs to rebuild its UI from scratch
+    // (late joiners, reconnects, or a client that lost track of the game)
+    const snapshot = (room, viewerId) => {
+        const state = gameState(room);
+        const inWriting = room.state.phase === PHASE.WRITING;
+        return {
+            room: room.code,
+            phase: state.phase,
+            timer: state.timer,
+            endsAt: state.endsAt,
+            paused: state.paused,
+            remainingMs: state.remainingMs,
+            serverTime: state.serverTime,
+            currentRound: state.currentRound,
+            totalRounds: state.totalRounds,
+            totalLaps: state.totalLaps,
+            turn: inWriting ? state.turn : { writerId: null, writerName: null, lap: state.turn.lap },
+            words: state.words,
+            wordsByLap: state.wordsByLap,
+            players: playerList(room, viewerId),
+            spectators: spectatorList(room),
+            // isValidVoteTarget is the voting rule only; it knows nothing of phases
+            votingTargets: room.state.phase === PHASE.VOTING
+                ? room.players.filter(p => isValidVoteTarget(room, p.id)).map(p => ({ id: p.id, username: p.username }))
+                : [],
+            runoff: room.state.runoff || null,
+            me: me(room, viewerId),
+            lastResults: results(room, viewerId),
+            settings: settings(room)
+        };
+    };
+
+    const roomJoined = (room, viewerId, extra = {}) => {
+        const self = room.players.find(p => p.id === viewerId) || room.spectators.find(s => s.id === viewerId);
+        return {
+            room: room.code,
+            user: self ? self.username : null,
+            players: playerList(room, viewerId),
+            isOwner: room.ownerId === viewerId,
+            isPublic: room.isPublic,
+            settings: settings(room),
+            ...extra
+        };
+    };
+
+    // Full room state for the admin API: everything but session tokens and access secrets
+    const adminRoom = (room) => {
+        const { passwordHash, accessKey, ...rest } = room;
+        return {
+            ...rest,
+            hasPassword: !!passwordHash,
+            players: room.players.map(({ sessionToken, ...p }) => p),
+            spectators: room.spectators.map(s => ({ ...s }))
+        };
+    };
+
+    return {
+        player, playerList, spectatorList, timer, gameState, results, roundInit, impostorGuessOptions, runoff,
+        promotedToPlayer, publicRoom, snapshot, roomJoined, settings, adminRoom
+    };
+};
+
+module.exports = { createViews, PLAYER_FIELDS, SPECTATOR_FIELDS };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Word Packs ---
+// Secret words for the word mode: one JSON file per pack,
+// { name, categories: { "<category>": ["word", ...] } }. Innocents get a word
+// from a category, the impostor a different word from the same one.
+
+const BUNDLED_PACK_DIR = path.join(__dirname, '..', 'data', 'word-packs');
+
+// The innocents' word, the impostor's and at least one decoy for the impostor's guess
+const MIN_CATEGORY_WORDS = 3;
+
+const shuffle = (array) => [...array].sort(() => Math.random() - 0.5);
+
+const readPacks = (dir) => {
+    const packs = {};
+    fs.readdirSync(dir).filter(f => f.endsWith('.json')).forEach(f => {
+        try {
+            const pack = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+            const all = Object.entries(pack.categories || {})
+                .map(([name, words]) => ({ name, words: [...new Set((words || []).map(w => String(w).trim()).filter(Boolean))] }));
+            const categories = all.filter(c => c.words.length >= MIN_CATEGORY_WORDS);
+            const skipped = all.filter(c => c.words.length < MIN_CATEGORY_WORDS).map(c => c.name);
+            if (skipped.length) {
+                console.warn(`[WordPacks] Pack ${f}: categories with fewer than ${MIN_CATEGORY_WORDS} different words skipped: ${skipped.join(', ')}`);
+            }
+            if (categories.length) packs[path.basename(f, '.json')] = { label: pack.name || path.basename(f, '.json'), categories };
+        } catch (err) {
+            console.error(`[WordPacks] Pack ${f} could not be read:`, err.message);
+        }
+    });
+    return packs;
+};
+
+/**
+ * options.packDir: extra packs (WORD_PACK_DIR); a file named like a bundled
+ * pack replaces it
+ */
+const loadWordPacks = ({ packDir } = {}) => {
+    let packs = readPacks(BUNDLED_PACK_DIR);
+    if (packDir) {
+        try {
+            packs = { ...packs, ...readPacks(packDir) };
+        } catch (err) {
+            console.error(`[WordPacks] WORD_PACK_DIR ${packDir} could not be read:`, err.message);
+        }
+    }
+
+    /**
+     * One { category, innocent, impostor, decoys } per round. Innocent words
+     * don't repeat within a match while the pack has fresh ones; decoys are
+     * other words of the category (impostor guess options).
+     */
+    const pickRounds = (name, count) => {
+        const pack = packs[name];
+        if (!pack) throw new Error(`Unknown word pack: ${name}`);
+        const used = new Set();
+        return Array.from({ length: count }, () => {
+            const fresh = pack.categories.filter(c => c.words.some(w => !used.has(w)));
+            const category = shuffle(fresh.length ? fresh : pack.categories)[0];
+            const words = shuffle(category.words);
+            const innocent = words.find(w => !used.has(w)) || words[0];
+            const impostor = words.find(w => w !== innocent);
+            used.add(innocent);
+            return {
+                category: category.name,
+                innocent,
+                impostor,
+                decoys: words.filter(w => w !== innocent && w !== impostor)
+            };
+        });
+    };
+
+    return {
+        names: Object.keys(packs),
+        list: () => Object.entries(packs).map(([name, pack]) => ({ name, label: pack.label, categories: pack.categories.length })),
+        pickRounds
+    };
+};
+
+module.exports = { loadWordPacks };
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeTurkish } = require('./turkish');
+
+// --- Word Rules ---
+// What a writer may submit on their turn. The limits themselves are room
+// settings (settings.wordRules); the forbidden words per theme come from a
+// synonym list shared by every room.
+
+const DEFAULT_SYNONYMS_FILE = path.join(__dirname, '..', 'data', 'theme-synonyms.json');
+
+// Forbidden words shorter than this only match exactly; longer ones also catch suffixes ("portreler")
+const MIN_PREFIX_LENGTH = 4;
+
+// Comparison key: Turkish-folded and stripped of everything but letters and digits,
+// so "İstanbul", "ISTANBUL" and "istanbul!" compare equal
+const wordKey = (word) => normalizeTurkish(word).replace(/[^a-z0-9]/g, '');
+
+// Whitespace trimmed and control characters dropped; the word is otherwise kept as typed
+const cleanWord = (raw) => String(raw ?? '').replace(/[\u0000-\u001f\u007f]/g, '').trim();
+
+/**
+ * synonyms: { "<theme>": ["word", ...] }; the theme itself (and each word of
+ * a multi-word theme) is always forbidden too.
+ */
+const createWordRules = (synonyms = {}) => {
+    const forbiddenByTheme = new Map();
+    const forbiddenFor = (theme) => {
+        if (!theme) return [];
+        if (!forbiddenByTheme.has(theme)) {
+            const words = [theme, ...theme.split(/\s+/), ...(synonyms[theme] || [])];
+            forbiddenByTheme.set(theme, [...new Set(words.map(wordKey).filter(Boolean))]);
+        }
+        return forbiddenByTheme.get(theme);
+    };
+
+    const isThemeWord = (key, theme) => forbiddenFor(theme).some(forbidden =>
+        key === forbidden || (forbidden.length >= MIN_PREFIX_LENGTH && key.startsWith(forbidden)));
+
+    /**
+     * rules: room.settings.wordRules
+     * context.theme: the round's theme; context.used: words already written this round
+     * Returns { word } or { error, params } with error one of
+     * 'not_single_word' | 'too_long' | 'no_letters' | 'duplicate' | 'theme_word'.
+     */
+    const check = (raw, rules, { theme = null, used = [] } = {}) => {
+        const word = cleanWord(raw);
+        if (rules.singleWord && /\s/.test(word)) return { error: 'not_single_word', params: {} };
+        if ([...word].length > rules.maxLength) return { error: 'too_long', params: { maxLength: rules.maxLength } };
+
+        const key = wordKey(word);
+        if (!key) return { error: 'no_letters', params: {} };
+        if (rules.uniqueWords && used.some(other => wordKey(other) === key)) return { error: 'duplicate', params: { word } };
+        if (rules.blockThemeWords && isThemeWord(key, theme)) return { error: 'theme_word', params: { word } };
+        return { word };
+    };
+
+    return { check, forbiddenFor };
+};
+
+// THEME_SYNONYMS_FILE: JSON object of theme -> words; the bundled list otherwise
+const loadWordRules = (file = DEFAULT_SYNONYMS_FILE) => {
+    try {
+        return createWordRules(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+        console.error(`[Words] Theme synonyms ${file} could not be read:`, err.message);
+        return createWordRules({});
+    }
+};
+
+module.exports = { createWordRules, loadWordRules, wordKey };
@@ -0,0 +1,21 @@
+// Plays one bots-only match in process and prints its summary as JSON.
+// Usage: npm run simulate -- [bots] [settings JSON]
+//   npm run simulate -- 5 '{"rounds":2,"gameMode":"words"}'
+// Rooms are kept in memory unless ROOM_STORE says otherwise.
+// stdout carries nothing but the JSON (npm run -s simulate ... | jq); game and
+// dotenv logs go to stderr.
+process.env.ROOM_STORE = process.env.ROOM_STORE || 'memory';
+console.log = console.info = console.error;
+
+const { simulateMatch } = require('../index');
+
+const [bots = '4', settings = '{}'] = process.argv.slice(2);
+
+simulateMatch({ bots: parseInt(bots), settings: JSON.parse(settings) })
+    .then(result => {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`, () => process.exit(0));
+    })
+    .catch(err => {
+        console.error('[Simulation] Failed:', err.message);
+        process.exit(1);
+    });
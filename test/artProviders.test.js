@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createArtProviders } = require('../lib/artProviders');
+const { createImageCache } = require('../lib/imageCache');
+
+test('offline pairs are read from disk and never point at a public URL', async () => {
+    const providers = createArtProviders({ chain: ['offline'] });
+    const pair = await providers.fetchPair({ theme: 'Landscape' });
+    assert.equal(pair.provider, 'offline');
+    ['innocent', 'impostor'].forEach(side => {
+        assert.ok(!/^https?:/.test(pair[side]), pair[side]);
+        assert.ok(fs.existsSync(pair.files[side]), pair.files[side]);
+    });
+    assert.equal(providers.staticMounts, undefined);
+});
+
+test('offline pair images go through the round image cache', () => {
+    const providers = createArtProviders({ chain: ['offline'] });
+    const cache = createImageCache();
+    const pair = providers.fallbackPair();
+    const id = cache.putFileSync(pair.files.innocent);
+    assert.equal(cache.get(id).contentType, 'image/svg+xml');
+});
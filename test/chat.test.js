@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createChat, createWordFilter, loadWordFilter, filterKey } = require('../lib/chat');
+
+const bundled = loadWordFilter(path.join(__dirname, '..', 'data', 'chat-filter.json'));
+
+test('filterKey folds, swaps lookalikes and collapses repeats', () => {
+    assert.equal(filterKey('SALAAAK!'), 'salak');
+    assert.equal(filterKey('$4l4k'), 'salak');
+    assert.equal(filterKey('ŞEREFSİZ'), 'serefsiz');
+    assert.equal(filterKey('GÖT', { fold: false }), 'göt');
+    assert.equal(filterKey('p1ç!', { fold: false }), 'piç');
+});
+
+test('exact entries match Turkish letters as written', () => {
+    ['göt', 'GÖT', 'piç', 'PİÇ', 'p1ç', 'oç'].forEach(word => assert.ok(bundled.isBlocked(word), word));
+});
+
+test('exact entries do not turn English words into insults', () => {
+    ['got', 'pic', 'oc', 'Got'].forEach(word => assert.ok(!bundled.isBlocked(word), word));
+    assert.deepEqual(bundled.clean('I got it, nice pic'), { text: 'I got it, nice pic', filtered: false });
+});
+
+test('prefix entries catch suffixes, folded letters and softened consonants', () => {
+    ['salak', 'salaklar', 'salağa', 'salaga', 'Şerefsizler', 'serefsiz', 'S4L4K'].forEach(word => assert.ok(bundled.isBlocked(word), word));
+    assert.ok(!bundled.isBlocked('sala'));
+});
+
+test('clean masks blocked words and keeps everything else as typed', () => {
+    assert.deepEqual(bundled.clean('sen  bir salaksın göt'), { text: 'sen  bir ******** ***', filtered: true });
+});
+
+test('custom filters follow the same rules', () => {
+    const filter = createWordFilter(['mk', 'elma*', '  ', '!!']);
+    assert.ok(filter.isBlocked('MK'));
+    assert.ok(!filter.isBlocked('mka'));
+    assert.ok(filter.isBlocked('elmalar'));
+    assert.ok(!filter.isBlocked('armut'));
+});
+
+test('prepare trims, collapses whitespace and enforces the length limit', () => {
+    const chat = createChat({ maxLength: 10, filter: bundled });
+    assert.deepEqual(chat.prepare('  merhaba \n  dunya '), { error: 'too_long' });
+    assert.deepEqual(chat.prepare(' \u0000 '), { error: 'empty' });
+    assert.deepEqual(chat.prepare('selam\tgöt'), { text: 'selam ***', filtered: true });
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_POINTS_RULE, emptyStats, parsePointsRule, recordRound, matchWinners, buildMatchSummary } = require('../lib/matchSummary');
+
+const RULE = { winner: 10, roundWonAsImpostor: 3, roundWonAsInnocent: 1, correctVote: 2 };
+
+const makeRoom = (players) => ({
+    code: 'ABCD',
+    state: { matchId: 'match-1', currentRound: 2, drawRounds: 0 },
+    players: players.map(p => ({ matchStats: { ...emptyStats(), roundsWonAsInnocent: 1, correctVotes: 1 }, ...p }))
+});
+
+test('the top scorer wins and earns the winner points', () => {
+    const summary = buildMatchSummary(makeRoom([
+        { username: 'Ayse', score: 8 },
+        { username: 'Bora', score: 5 }
+    ]), RULE);
+    assert.deepEqual(summary.winners, ['Ayse']);
+    assert.equal(summary.isTie, false);
+    assert.deepEqual(summary.players.map(p => [p.username, p.rank, p.isWinner, p.points]), [['Ayse', 1, true, 13], ['Bora', 2, false, 3]]);
+});
+
+test('tied top scorers all win', () => {
+    const summary = buildMatchSummary(makeRoom([
+        { username: 'Ayse', score: 5 },
+        { username: 'Bora', score: 5 },
+        { username: 'Cem', score: 1 }
+    ]), RULE);
+    assert.deepEqual(summary.winners, ['Ayse', 'Bora']);
+    assert.equal(summary.isTie, true);
+    assert.deepEqual(summary.players.map(p => p.rank), [1, 1, 3]);
+});
+
+test('bots never win and earn no points, even with the top score', () => {
+    const room = makeRoom([
+        { username: 'Bot Monet', score: 12, isBot: true },
+        { username: 'Ayse', score: 8 },
+        { username: 'Bora', score: 5 }
+    ]);
+    const summary = buildMatchSummary(room, RULE);
+    assert.deepEqual(summary.winners, ['Ayse']);
+    const [bot, ayse] = summary.players;
+    assert.deepEqual([bot.username, bot.isBot, bot.isWinner, bot.points, bot.rank], ['Bot Monet', true, false, 0, 1]);
+    assert.deepEqual([ayse.isWinner, ayse.points, ayse.rank], [true, 13, 2]);
+    assert.deepEqual(matchWinners(room.players).map(p => p.username), ['Ayse']);
+});
+
+test('countBots lets bots win, for bots-only simulations', () => {
+    const room = makeRoom([
+        { username: 'Bot Monet', score: 12, isBot: true },
+        { username: 'Bot Frida', score: 4, isBot: true }
+    ]);
+    assert.deepEqual(buildMatchSummary(room, RULE).winners, []);
+    const summary = buildMatchSummary(room, RULE, { countBots: true });
+    assert.deepEqual(summary.winners, ['Bot Monet']);
+    assert.deepEqual(summary.players.map(p => p.points), [13, 3]);
+});
+
+test('recordRound counts rounds won per role', () => {
+    const room = { players: [
+        { username: 'Ayse', role: 'innocent' },
+        { username: 'Bora', role: 'impostor', isCaught: false },
+        { username: 'Cem', role: null }
+    ] };
+    recordRound(room, 'impostor');
+    recordRound(room, 'innocents');
+    const [ayse, bora, cem] = room.players;
+    assert.deepEqual(ayse.matchStats.roleHistory, ['innocent', 'innocent']);
+    assert.equal(ayse.matchStats.roundsWonAsInnocent, 1);
+    assert.equal(bora.matchStats.roundsWonAsImpostor, 1);
+    assert.equal(cem.matchStats, undefined);
+});
+
+test('parsePointsRule keeps known numeric fields only', () => {
+    assert.deepEqual(parsePointsRule(null), DEFAULT_POINTS_RULE);
+    assert.deepEqual(parsePointsRule('{"winner":5,"correctVote":"2","bogus":1}'), { ...DEFAULT_POINTS_RULE, winner: 5 });
+    const original = console.error;
+    console.error = () => {};
+    try {
+        assert.deepEqual(parsePointsRule('not json'), DEFAULT_POINTS_RULE);
+    } finally {
+        console.error = original;
+    }
+});
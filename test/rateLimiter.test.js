@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, parseRateLimit } = require('../lib/rateLimiter');
+
+const clock = () => {
+    let t = 1000;
+    const now = () => t;
+    now.advance = (ms) => { t += ms; };
+    return now;
+};
+
+test('allows `limit` hits per window and frees up as they expire', () => {
+    const now = clock();
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000, now });
+    assert.equal(limiter.hit('a'), true);
+    now.advance(400);
+    assert.equal(limiter.hit('a'), true);
+    assert.equal(limiter.hit('a'), false);
+    assert.equal(limiter.hit('b'), true);
+    now.advance(600);
+    assert.equal(limiter.hit('a'), true);
+    assert.equal(limiter.hit('a'), false);
+});
+
+test('forget drops a key', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 1000, now: clock() });
+    limiter.hit('a');
+    assert.equal(limiter.hit('a'), false);
+    limiter.forget('a');
+    assert.equal(limiter.size(), 0);
+    assert.equal(limiter.hit('a'), true);
+});
+
+test('keys whose hits have all expired are swept', () => {
+    const now = clock();
+    const limiter = createRateLimiter({ limit: 5, windowMs: 1000, now });
+    for (let i = 0; i < 100; i++) limiter.hit(`10.0.0.${i}`);
+    assert.equal(limiter.size(), 100);
+
+    now.advance(500);
+    limiter.hit('10.0.1.1');
+    assert.equal(limiter.size(), 101); // Nothing expired yet
+
+    now.advance(600);
+    limiter.hit('10.0.1.2');
+    assert.equal(limiter.size(), 2); // Only the recent ones are left
+});
+
+test('parseRateLimit reads "hits/seconds"', () => {
+    const fallback = { limit: 1, windowMs: 1 };
+    assert.deepEqual(parseRateLimit('5/10', fallback), { limit: 5, windowMs: 10000 });
+    assert.deepEqual(parseRateLimit(' 30 / 5 ', fallback), { limit: 30, windowMs: 5000 });
+    assert.equal(parseRateLimit('0/10', fallback), fallback);
+    assert.equal(parseRateLimit('fast', fallback), fallback);
+    assert.equal(parseRateLimit(undefined, fallback), fallback);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreVote, scoreRoundEnd } = require('../lib/scoring');
+const { DEFAULT_ROOM_SETTINGS } = require('../lib/roomSettings');
+
+const rules = { ...DEFAULT_ROOM_SETTINGS.scoring, suspicion: 5, wrongAccusation: -3 };
+
+const makePlayers = () => [
+    { id: 'a', role: 'innocent', words: ['elma'] },
+    { id: 'b', role: 'innocent', words: ['kiraz'] },
+    { id: 'c', role: 'innocent', words: ['armut'] },
+    { id: 'x', role: 'impostor', words: ['muz'] },
+    { id: 'y', role: 'impostor', words: ['erik'] }
+];
+
+const pointsOf = (awards, rule) => Object.fromEntries(awards.filter(a => a.rule === rule).map(a => [a.playerId, a.points]));
+
+test('scoreVote pays correctVote to innocents only, never to an impostor voting out a teammate', () => {
+    const awards = scoreVote(rules, { players: makePlayers(), votes: { a: 'x', b: 'x', y: 'x', c: 'a' }, caughtId: 'x' });
+    assert.deepEqual(pointsOf(awards, 'correctVote'), { a: rules.correctVote, b: rules.correctVote });
+    assert.deepEqual(pointsOf(awards, 'wrongAccusation'), { c: -3 });
+});
+
+test('scoreVote leaves suspicion to the end of the round', () => {
+    const awards = scoreVote(rules, { players: makePlayers(), votes: { a: 'y', b: 'x', c: 'x' }, caughtId: 'x' });
+    assert.deepEqual(pointsOf(awards, 'suspicion'), {});
+});
+
+test('scoreRoundEnd pays suspicion once per escaped impostor, not for caught ones', () => {
+    const players = makePlayers();
+    players[3].isCaught = true;
+    const passes = [
+        { votes: { a: 'x', b: 'x', c: 'y', y: 'x' } },
+        { votes: { a: 'y', b: 'c', c: 'y' } }
+    ];
+    const awards = scoreRoundEnd(rules, { players, passes });
+    assert.deepEqual(pointsOf(awards, 'suspicion'), { a: 5, c: 5 });
+    assert.ok(pointsOf(awards, 'escape').y > 0);
+});
+
+test('scoreRoundEnd pays no suspicion when nobody escaped', () => {
+    const players = makePlayers();
+    const passes = [{ votes: { a: 'y', b: 'x', c: 'y' } }];
+    assert.deepEqual(pointsOf(scoreRoundEnd(rules, { players, passes, draw: true }), 'suspicion'), {});
+});
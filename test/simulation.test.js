@@ -0,0 +1,65 @@
+// Bots-only matches through the real game loop (index.js), offline and in memory
+process.env.ROOM_STORE = 'memory';
+process.env.ART_PROVIDERS = 'offline';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The game loop logs every step; keep the test output readable
+const log = console.log;
+console.log = () => {};
+const { simulateMatch } = require('../index');
+console.log = log;
+
+const quietly = async (run) => {
+    console.log = () => {};
+    try {
+        return await run();
+    } finally {
+        console.log = log;
+    }
+};
+
+const checkMatch = ({ summary, rounds }, { bots, roundCount }) => {
+    assert.equal(summary.players.length, bots);
+    assert.ok(summary.players.every(p => p.isBot));
+    assert.equal(summary.rounds, roundCount);
+    assert.equal(rounds.length, roundCount);
+    assert.ok(summary.winners.length >= 1);
+
+    // Every point in a score is accounted for by a breakdown entry
+    const totals = {};
+    rounds.forEach(round => {
+        assert.ok(['innocents', 'impostor', 'none'].includes(round.winner), round.winner);
+        round.scores.forEach(entry => {
+            assert.equal(entry.breakdown.reduce((sum, item) => sum + item.points, 0), entry.points);
+            totals[entry.username] = (totals[entry.username] || 0) + entry.points;
+        });
+    });
+    summary.players.forEach(p => assert.equal(p.score, totals[p.username] || 0, p.username));
+};
+
+test('a bots-only art match plays to the end', { timeout: 60000 }, async () => {
+    const result = await quietly(() => simulateMatch({ bots: 4, settings: { rounds: 2 } }));
+    checkMatch(result, { bots: 4, roundCount: 2 });
+});
+
+test('art guess options never show artwork of rounds still to come', { timeout: 60000 }, async () => {
+    const { rounds } = await quietly(() => simulateMatch({ bots: 5, settings: { rounds: 4 } }));
+    rounds.forEach((round, i) => {
+        const seen = new Set(rounds.slice(0, i + 1).flatMap(r => [r.images.innocent, r.images.impostor]));
+        (round.impostorGuess?.options || []).filter(opt => opt.imageUrl)
+            .forEach(opt => assert.ok(seen.has(opt.imageUrl), `round ${i + 1}: ${opt.imageUrl}`));
+    });
+});
+
+test('a bots-only words match with two impostors plays to the end', { timeout: 60000 }, async () => {
+    const result = await quietly(() => simulateMatch({ bots: 6, settings: { rounds: 2, gameMode: 'words', impostorCount: 2 } }));
+    checkMatch(result, { bots: 6, roundCount: 2 });
+    result.rounds.forEach(round => assert.equal(round.scores.length, 6));
+});
+
+test('simulateMatch rejects bad settings and bot counts', async () => {
+    await assert.rejects(simulateMatch({ bots: 1 }), /Bot count/);
+    await assert.rejects(simulateMatch({ bots: 4, settings: { gameMode: 'nope' } }), /Invalid settings/);
+});
@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    createVecbotOutbox,
+    signBody,
+    verifySignature,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    IDEMPOTENCY_HEADER
+} = require('../lib/vecbotOutbox');
+
+const SECRET = 'test-secret';
+
+test('verifySignature accepts what signBody signs, and nothing else', () => {
+    const now = Date.now();
+    const timestamp = Math.floor(now / 1000);
+    const body = JSON.stringify({ username: 'Ayse', points: 10 });
+    const signature = signBody(SECRET, timestamp, body);
+
+    assert.equal(verifySignature(SECRET, { timestamp, signature, body, now }), true);
+    assert.equal(verifySignature(SECRET, { timestamp: String(timestamp), signature, body, now }), true);
+    assert.equal(verifySignature(SECRET, { timestamp, signature, body: body.replace('10', '99'), now }), false);
+    assert.equal(verifySignature('other-secret', { timestamp, signature, body, now }), false);
+    assert.equal(verifySignature(SECRET, { timestamp: timestamp + 1, signature, body, now }), false);
+    assert.equal(verifySignature(SECRET, { timestamp, signature: signature.slice(0, -1), body, now }), false);
+    assert.equal(verifySignature(SECRET, { timestamp, signature: undefined, body, now }), false);
+    assert.equal(verifySignature(null, { timestamp, signature, body, now }), false);
+});
+
+test('verifySignature rejects timestamps outside the tolerance window', () => {
+    const now = Date.now();
+    const body = '{}';
+    const old = Math.floor(now / 1000) - 301;
+    assert.equal(verifySignature(SECRET, { timestamp: old, signature: signBody(SECRET, old, body), body, now }), false);
+    assert.equal(verifySignature(SECRET, { timestamp: old, signature: signBody(SECRET, old, body), body, now, toleranceSec: 600 }), true);
+    assert.equal(verifySignature(SECRET, { timestamp: 'soon', signature: signBody(SECRET, 'soon', body), body, now }), false);
+});
+
+// A stand-in for the Vecbot API: checks signatures like php-api does,
+// answers 409 for idempotency keys it has seen, and fails on demand
+const startStubApi = async () => {
+    const stub = { requests: [], seen: new Set(), failNext: 0 };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const key = req.headers[IDEMPOTENCY_HEADER];
+            const valid = verifySignature(SECRET, {
+                timestamp: req.headers[TIMESTAMP_HEADER],
+                signature: req.headers[SIGNATURE_HEADER],
+                body
+            });
+            stub.requests.push({ url: req.url, key, body: JSON.parse(body), valid, headers: req.headers });
+            if (stub.failNext > 0) {
+                stub.failNext--;
+                res.writeHead(503).end('down for maintenance');
+            } else if (!valid) {
+                res.writeHead(401).end('bad signature');
+            } else if (stub.seen.has(key)) {
+                res.writeHead(409).end('duplicate');
+            } else {
+                stub.seen.add(key);
+                res.writeHead(200).end('{"ok":true}');
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    stub.baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    stub.close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    });
+    return stub;
+};
+
+const makeOutbox = (stub, options = {}) => {
+    let calls = 0;
+    const outbox = createVecbotOutbox({
+        baseUrl: stub.baseUrl,
+        secret: SECRET,
+        fetchImpl: (url, init) => {
+            calls++;
+            return fetch(url, init);
+        },
+        baseDelayMs: 0,
+        ...options
+    });
+    outbox.calls = () => calls;
+    return outbox;
+};
+
+const win = (key) => ({ key, path: '/integrations/sketchquest-win', body: { username: 'Ayse', points: 10, matchId: key } });
+
+test('outbox delivers signed requests to the API', async (t) => {
+    const stub = await startStubApi();
+    t.after(stub.close);
+    const outbox = makeOutbox(stub);
+
+    assert.equal(outbox.enqueue(win('m1:Ayse')), true);
+    await outbox.flush();
+
+    assert.equal(stub.requests.length, 1);
+    const [request] = stub.requests;
+    assert.equal(request.url, '/api/integrations/sketchquest-win');
+    assert.equal(request.key, 'm1:Ayse');
+    assert.equal(request.valid, true);
+    assert.deepEqual(request.body, win('m1:Ayse').body);
+    assert.equal(request.headers['x-game-secret'], undefined);
+
+    const [entry] = outbox.list();
+    assert.equal(entry.status, 'delivered');
+    assert.equal(entry.attempts, 1);
+});
+
+test('outbox queues a key only once', async (t) => {
+    const stub = await startStubApi();
+    t.after(stub.close);
+    const outbox = makeOutbox(stub);
+
+    assert.equal(outbox.enqueue(win('m1:Ayse')), true);
+    assert.equal(outbox.enqueue(win('m1:Ayse')), false);
+    await outbox.flush();
+    assert.equal(outbox.calls(), 1);
+    assert.equal(outbox.list().length, 1);
+});
+
+test('outbox retries failed deliveries and gives up after maxAttempts', async (t) => {
+    const stub = await startStubApi();
+    t.after(stub.close);
+    const outbox = makeOutbox(stub, { maxAttempts: 2 });
+
+    stub.failNext = 2;
+    outbox.enqueue(win('m2:Bora'));
+    await outbox.flush();
+    let [entry] = outbox.list();
+    assert.equal(entry.status, 'pending');
+    assert.match(entry.lastError, /HTTP 503/);
+
+    await new Promise(resolve => setTimeout(resolve, 5)); // baseDelayMs: 0, due again right away
+    await outbox.flush();
+    [entry] = outbox.list();
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.attempts, 2);
+
+    // An admin retry puts it back in the queue
+    assert.equal(outbox.retry('m2:Bora'), true);
+    await outbox.flush();
+    [entry] = outbox.list();
+    assert.equal(entry.status, 'delivered');
+    assert.equal(entry.lastError, null);
+    assert.equal(outbox.retry('m2:Bora'), false);
+});
+
+test('outbox treats 409 (already received) as delivered', async (t) => {
+    const stub = await startStubApi();
+    t.after(stub.close);
+    stub.seen.add('m3:Cem');
+    const outbox = makeOutbox(stub);
+
+    outbox.enqueue(win('m3:Cem'));
+    await outbox.flush();
+    assert.equal(stub.requests.length, 1);
+    assert.equal(outbox.list()[0].status, 'delivered');
+});
+
+test('outbox keeps entries but sends nothing without a secret', async (t) => {
+    const stub = await startStubApi();
+    t.after(stub.close);
+    const outbox = makeOutbox(stub, { secret: null });
+
+    outbox.enqueue(win('m4:Deniz'));
+    await outbox.flush();
+    assert.equal(outbox.calls(), 0);
+    assert.equal(outbox.list({ status: 'pending' }).length, 1);
+});
+
+test('outbox sends the legacy secret header only when asked to', async (t) => {
+    const stub = await startStubApi();
+    t.after(stub.close);
+    const outbox = makeOutbox(stub, { legacySecretHeader: true });
+
+    outbox.enqueue(win('m5:Ece'));
+    await outbox.flush();
+    assert.equal(stub.requests[0].headers['x-game-secret'], SECRET);
+});
+
+test('outbox survives a restart through its file', async (t) => {
+    const stub = await startStubApi();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    t.after(async () => {
+        await stub.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    const file = path.join(dir, 'outbox.json');
+
+    const before = makeOutbox(stub, { file, secret: null });
+    before.enqueue(win('m6:Filiz'));
+
+    const after = makeOutbox(stub, { file });
+    assert.equal(after.list({ status: 'pending' }).length, 1);
+    await after.flush();
+    assert.equal(after.list()[0].status, 'delivered');
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8'))[0].status, 'delivered');
+});
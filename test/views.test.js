@@ -0,0 +1,279 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createViews } = require('../lib/views');
+const { PHASE } = require('../lib/constants');
+
+// Fields that belong to the server or to one player only
+const SECRET_FIELDS = ['sessionToken', 'ip', 'passwordHash', 'accessKey'];
+
+const views = createViews({
+    // Like the game rule: who may be voted, whatever the phase
+    isValidVoteTarget: (room, id) => room.players.some(p => p.id === id && !p.isCaught),
+    translate: (viewerId, key) => key,
+    roundInfo: (room, p) => p.role === 'impostor' ? { word: 'armut', category: 'Meyve' } : { word: 'elma', category: 'Meyve' }
+});
+
+const makeRoom = (phase) => ({
+    code: 'ABCD',
+    ownerId: 'a',
+    isPublic: false,
+    passwordHash: 'salt:hash',
+    accessKey: 'key',
+    settings: { gameMode: 'words', rounds: 3, laps: 2 },
+    players: [
+        { id: 'a', username: 'Ayse', score: 3, role: 'innocent', words: [{ word: 'kirmizi', lap: 0 }], vote: 'b', sessionToken: 'token-a', ip: '1.1.1.1' },
+        { id: 'b', username: 'Bora', score: 1, role: 'impostor', words: [{ word: 'tatli', lap: 0 }], vote: 'c', sessionToken: 'token-b', ip: '2.2.2.2' },
+        { id: 'c', username: 'Cem', score: 0, role: 'innocent', words: [], vote: null, sessionToken: 'token-c', ip: '3.3.3.3' }
+    ],
+    spectators: [{ id: 's', username: 'Selin', isSpectator: true, ip: '4.4.4.4' }],
+    state: {
+        phase,
+        endsAt: Date.now() + 10000,
+        paused: false,
+        turnIndex: 1,
+        turnOrder: ['a', 'b', 'c'],
+        lap: 0,
+        currentRound: 1,
+        lastResults: null
+    }
+});
+
+// Every object key anywhere in a payload
+const keysOf = (value, keys = new Set()) => {
+    if (Array.isArray(value)) value.forEach(item => keysOf(item, keys));
+    else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => {
+            keys.add(key);
+            keysOf(item, keys);
+        });
+    }
+    return keys;
+};
+
+const assertNoSecrets = (payload) => {
+    const keys = keysOf(payload);
+    SECRET_FIELDS.forEach(field => assert.ok(!keys.has(field), `${field} leaked`));
+    const text = JSON.stringify(payload);
+    ['token-a', 'token-b', 'token-c', '1.1.1.1', '4.4.4.4', 'salt:hash'].forEach(value => assert.ok(!text.includes(value), `${value} leaked`));
+};
+
+const IN_ROUND_PHASES = [PHASE.VIEWING, PHASE.WRITING, PHASE.DISCUSSING, PHASE.VOTING, PHASE.IMPOSTOR_GUESS];
+
+test('playerList shows a role and a vote to their owner only while a round runs', () => {
+    IN_ROUND_PHASES.forEach(phase => {
+        const room = makeRoom(phase);
+        const list = views.playerList(room, 'a');
+        const [self, impostor, other] = list;
+
+        assert.equal(self.role, 'innocent', phase);
+        assert.equal(self.vote, 'b', phase);
+        assert.equal(impostor.role, 'active', phase);
+        assert.equal(impostor.vote, null, phase);
+        assert.equal(impostor.hasVoted, true, phase);
+        assert.equal(other.hasVoted, false, phase);
+        list.forEach(p => assert.equal(p.words, undefined, phase));
+        assertNoSecrets(list);
+    });
+});
+
+test('playerList reveals votes but not other players\' roles once the results are in', () => {
+    [PHASE.RESULTS, PHASE.MATCH_END].forEach(phase => {
+        const list = views.playerList(makeRoom(phase), 'c');
+        assert.deepEqual(list.map(p => p.vote), ['b', 'c', null], phase);
+        assert.ok(list.filter(p => p.id !== 'c').every(p => p.role === 'active'), phase);
+        assertNoSecrets(list);
+    });
+});
+
+test('playerList hides everything round-related in the lobby', () => {
+    const room = makeRoom(PHASE.LOBBY);
+    room.players.forEach(p => { p.role = null; p.vote = null; });
+    const list = views.playerList(room, 'a');
+    assert.ok(list.every(p => p.role === null && p.vote === null && !p.hasVoted));
+    assert.equal(list[0].isOwner, true);
+    assert.equal(list[1].isOwner, false);
+});
+
+test('gameState is the same for everybody and carries no private fields', () => {
+    const state = views.gameState(makeRoom(PHASE.WRITING));
+    assert.equal(state.phase, PHASE.WRITING);
+    assert.deepEqual(state.turn, { writerId: 'b', writerName: 'Bora', lap: 0 });
+    assert.deepEqual(state.wordsByLap, [[{ username: 'Ayse', word: 'kirmizi' }, { username: 'Bora', word: 'tatli' }]]);
+    assert.equal(state.runoff, null);
+    const keys = keysOf(state);
+    ['role', 'vote', ...SECRET_FIELDS].forEach(field => assert.ok(!keys.has(field), `${field} leaked`));
+});
+
+test('gameState counts down from endsAt, and holds the remaining time while paused', () => {
+    const room = makeRoom(PHASE.VOTING);
+    room.state.endsAt = Date.now() + 5000;
+    const running = views.gameState(room);
+    assert.ok(running.timer === 5 || running.timer === 4);
+    assert.equal(running.endsAt, room.state.endsAt);
+
+    room.state.paused = true;
+    room.state.pausedRemaining = 7000;
+    const paused = views.gameState(room);
+    assert.deepEqual([paused.timer, paused.endsAt, paused.paused, paused.remainingMs], [7, null, true, 7000]);
+});
+
+test('snapshot gives each player their own word and nobody else\'s', () => {
+    const room = makeRoom(PHASE.DISCUSSING);
+    const innocent = views.snapshot(room, 'a');
+    const impostor = views.snapshot(room, 'b');
+
+    assert.equal(innocent.me.role, 'innocent');
+    assert.equal(innocent.me.word, 'elma');
+    assert.equal(impostor.me.role, 'impostor');
+    assert.equal(impostor.me.word, 'armut');
+    assert.ok(!JSON.stringify(innocent).includes('armut'));
+    assert.ok(innocent.players.every(p => p.role !== 'impostor'));
+    assert.ok(!JSON.stringify(impostor).includes('elma'));
+    // Nobody is writing outside the writing phase
+    assert.equal(innocent.turn.writerId, null);
+    assertNoSecrets(innocent);
+    assertNoSecrets(impostor);
+});
+
+test('snapshot for a spectator shows no role, word or vote', () => {
+    IN_ROUND_PHASES.forEach(phase => {
+        const snapshot = views.snapshot(makeRoom(phase), 's');
+        assert.equal(snapshot.me.isSpectator, true, phase);
+        assert.deepEqual([snapshot.me.role, snapshot.me.word, snapshot.me.vote], [null, null, null], phase);
+        assert.ok(snapshot.players.every(p => p.role === 'active' && p.vote === null), phase);
+        assert.ok(!JSON.stringify(snapshot).includes('armut') && !JSON.stringify(snapshot).includes('elma'), phase);
+        assertNoSecrets(snapshot);
+    });
+});
+
+test('snapshot lists voting targets only while voting', () => {
+    [PHASE.LOBBY, ...IN_ROUND_PHASES, PHASE.RESULTS].filter(phase => phase !== PHASE.VOTING)
+        .forEach(phase => assert.deepEqual(views.snapshot(makeRoom(phase), 'a').votingTargets, [], phase));
+    assert.equal(views.snapshot(makeRoom(PHASE.VOTING), 'a').votingTargets.length, 3);
+});
+
+test('snapshot shows caught impostors their guess options only', () => {
+    const room = makeRoom(PHASE.IMPOSTOR_GUESS);
+    room.players[1].isCaught = true;
+    room.state.impostorGuess = { options: [{ id: 0, word: 'elma' }, { id: 1, word: 'kiraz' }] };
+    assert.equal(views.snapshot(room, 'b').me.guessOptions.length, 2);
+    assert.equal(views.snapshot(room, 'a').me.guessOptions, null);
+    assert.equal(views.snapshot(room, 's').me.guessOptions, null);
+});
+
+test('snapshot reports a password without giving it away', () => {
+    const snapshot = views.snapshot(makeRoom(PHASE.LOBBY), 'c');
+    assert.equal(snapshot.settings.hasPassword, true);
+    assert.equal(snapshot.settings.isPublic, false);
+    assertNoSecrets(snapshot);
+});
+
+// lastResults as finishRound leaves them, with a few fields that must never go out
+const makeResults = () => ({
+    winner: 'impostor',
+    messageCode: 'game_over.partly_caught',
+    messageParams: { impostorName: 'Bora, Cem', caught: 'Bora', escaped: 'Cem' },
+    impostorName: 'Bora, Cem',
+    impostors: [{ id: 'b', username: 'Bora', caught: true, sessionToken: 'token-b' }, { id: 'c', username: 'Cem', caught: false }],
+    eliminated: { id: 'b', username: 'Bora', role: 'impostor', ip: '2.2.2.2' },
+    impostorGuess: {
+        kind: 'word',
+        options: [{ id: 'opt1', label: 'elma', isAnswer: true }, { id: 'opt2', label: 'kiraz' }],
+        answerId: 'opt1',
+        results: [{ id: 'b', username: 'Bora', guessId: 'opt2', correct: false, stolen: 0 }]
+    },
+    mode: 'words',
+    images: null,
+    words: { category: 'Meyve', innocent: 'elma', impostor: 'armut', decoys: ['kiraz'] },
+    scores: [
+        { id: 'a', username: 'Ayse', points: 20, score: 23, breakdown: [{ rule: 'correctVote', points: 20, params: {} }], sessionToken: 'token-a' },
+        { id: 'c', username: 'Cem', points: 70, score: 70, breakdown: [{ rule: 'escape', points: 70, params: { players: 4 } }] }
+    ],
+    accessKey: 'key'
+});
+
+test('snapshot translates round results for the viewer', () => {
+    const room = makeRoom(PHASE.RESULTS);
+    room.state.lastResults = makeResults();
+    const { lastResults } = views.snapshot(room, 'a');
+    assert.equal(lastResults.message, 'messages.game_over.partly_caught');
+    assert.deepEqual(lastResults.messageParams, { impostorName: 'Bora, Cem', caught: 'Bora', escaped: 'Cem' });
+    assert.deepEqual(lastResults.scores[0], {
+        id: 'a', username: 'Ayse', points: 20, score: 23,
+        breakdown: [{ rule: 'correctVote', points: 20, params: {}, label: 'scoring.correctVote' }]
+    });
+});
+
+test('results pass on whitelisted fields only', () => {
+    const room = makeRoom(PHASE.RESULTS);
+    room.state.lastResults = makeResults();
+    const results = views.results(room, 'c');
+    assertNoSecrets(results);
+    const keys = keysOf(results);
+    ['isAnswer', 'decoys'].forEach(field => assert.ok(!keys.has(field), `${field} leaked`));
+    assert.deepEqual(results.words, { category: 'Meyve', innocent: 'elma', impostor: 'armut' });
+    assert.deepEqual(results.impostorGuess.options, [{ id: 'opt1', label: 'elma' }, { id: 'opt2', label: 'kiraz' }]);
+    assert.equal(results.impostorGuess.answerId, 'opt1');
+    assert.equal(results.eliminated.role, 'impostor');
+});
+
+test('round_init gives a player their own role and material only', () => {
+    const room = makeRoom(PHASE.VIEWING);
+    assert.deepEqual(views.roundInit(room, room.players[0]), { role: 'innocent', mode: 'words', word: 'elma', category: 'Meyve' });
+    assert.deepEqual(views.roundInit(room, room.players[1]), { role: 'impostor', mode: 'words', word: 'armut', category: 'Meyve' });
+});
+
+test('impostor_guess_options never gives the answer away', () => {
+    const room = makeRoom(PHASE.IMPOSTOR_GUESS);
+    room.players[1].isCaught = true;
+    room.state.impostorGuess = {
+        kind: 'image',
+        options: [{ id: 'opt1', imageUrl: '/a.png', isAnswer: true }, { id: 'opt2', imageUrl: '/b.png' }],
+        answerId: 'opt1',
+        guesses: { b: 'opt2' }
+    };
+    assert.deepEqual(views.impostorGuessOptions(room), { kind: 'image', options: [{ id: 'opt1', imageUrl: '/a.png' }, { id: 'opt2', imageUrl: '/b.png' }] });
+    assert.deepEqual(views.snapshot(room, 'b').me.guessOptions, views.impostorGuessOptions(room).options);
+});
+
+test('runoff_started and promoted_to_player carry names and the recipient\'s own token only', () => {
+    const room = makeRoom(PHASE.VOTING);
+    assert.deepEqual(views.runoff(room, ['a', 'b', 'skip'], 'skip'), {
+        candidates: [{ id: 'a', username: 'Ayse' }, { id: 'b', username: 'Bora' }, { id: 'skip', username: null }]
+    });
+    assertNoSecrets(views.runoff(room, ['a', 'b'], 'skip'));
+    assert.deepEqual(views.promotedToPlayer(room, room.players[2]), { room: 'ABCD', user: 'Cem', sessionToken: 'token-c' });
+});
+
+test('publicRoom lists a room without its secrets', () => {
+    const room = makeRoom(PHASE.LOBBY);
+    const entry = views.publicRoom(room, { unknownOwner: '?' });
+    assert.deepEqual(Object.keys(entry).sort(), ['code', 'hasPassword', 'isPublic', 'maxPlayers', 'ownerName', 'phase', 'playerCount', 'settings', 'spectatorCount']);
+    assert.equal(entry.ownerName, 'Ayse');
+    assert.equal(entry.spectatorCount, 1);
+    assertNoSecrets(entry);
+    room.ownerId = 'gone';
+    assert.equal(views.publicRoom(room, { unknownOwner: '?' }).ownerName, '?');
+});
+
+test('roomJoined carries a session token only when given one for its recipient', () => {
+    const room = makeRoom(PHASE.LOBBY);
+    const joined = views.roomJoined(room, 'c', { sessionToken: 'token-c' });
+    assert.equal(joined.sessionToken, 'token-c');
+    assert.equal(joined.user, 'Cem');
+    assert.equal(joined.isOwner, false);
+
+    const spectator = views.roomJoined(room, 's', { isSpectator: true });
+    assert.equal(spectator.user, 'Selin');
+    assertNoSecrets(spectator);
+    // The only token in the new player's payload is their own
+    assert.ok(!JSON.stringify(joined).includes('token-a'));
+    assert.ok(!JSON.stringify(joined).includes('token-b'));
+});
+
+test('adminRoom keeps session tokens and access secrets out', () => {
+    const admin = views.adminRoom(makeRoom(PHASE.VOTING));
+    const keys = keysOf(admin);
+    ['sessionToken', 'passwordHash', 'accessKey'].forEach(field => assert.ok(!keys.has(field), `${field} leaked`));
+    assert.equal(admin.hasPassword, true);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadWordPacks } = require('../lib/wordPacks');
+
+const withPackDir = (t, packs) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'word-packs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    Object.entries(packs).forEach(([name, pack]) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(pack)));
+    return dir;
+};
+
+// Keeps the skipped-category warnings out of the test output
+const quietly = (fn) => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+};
+
+test('categories without a decoy word are skipped when a pack loads', (t) => {
+    const packDir = withPackDir(t, {
+        small: { name: 'Small', categories: { Meyve: ['elma', 'armut', 'kiraz'], Renk: ['mavi', 'yesil', ' mavi '], Hayvan: ['kedi'] } },
+        tiny: { name: 'Tiny', categories: { Renk: ['mavi', 'yesil'] } }
+    });
+    const packs = quietly(() => loadWordPacks({ packDir }));
+    assert.deepEqual(packs.list().find(p => p.name === 'small'), { name: 'small', label: 'Small', categories: 1 });
+    assert.ok(!packs.names.includes('tiny'));
+});
+
+test('every picked round has a decoy for the impostor guess', (t) => {
+    const packDir = withPackDir(t, { small: { categories: { Meyve: ['elma', 'armut', 'kiraz'] } } });
+    const rounds = quietly(() => loadWordPacks({ packDir })).pickRounds('small', 5);
+    rounds.forEach(round => {
+        assert.notEqual(round.innocent, round.impostor);
+        assert.ok(round.decoys.length >= 1);
+        assert.ok(!round.decoys.includes(round.innocent) && !round.decoys.includes(round.impostor));
+    });
+});